@@ -50,6 +50,50 @@ var modules = [
 //
 // Like `baseExcludeTypes`, this overrides a short list of properties that must not be modified
 // by workflow. You don't want to change this.
+//
+// `scheduledCommitsInterval: 60`
+//
+// If set, every process checks for scheduled commits that are due at this interval,
+// in seconds, and commits them. Alternatively run the `apostrophe-workflow:run-scheduled`
+// task from cron.
+//
+// `approvalStages: { 'product': [ 'legal', 'brand' ] }`
+//
+// Submissions of docs of these types must be approved by each stage in turn before
+// anyone can commit them. To vary the stages by locale, give an object with live locale
+// names as keys instead of an array, and use the `'*'` key as the fallback.
+//
+// `approvalStageOptions: { legal: { label: 'Legal', group: 'Legal Team' }, brand: { label: 'Brand', permission: 'admin-product' } }`
+//
+// Decides who can approve each stage: members of `group` (by title) or users with
+// `permission`. By default a stage is tied to the group with the same title as its name.
+//
+// `fourEyes: true`
+//
+// Nobody may commit a doc if they made the latest edit to its draft or submitted it.
+// Admins may override this by giving a reason, which is recorded in the audit trail.
+//
+// `notifications: { transport: 'email', mode: 'immediate' }`
+//
+// Notify editors and submitters of submissions, commits, rejections, dismissals and
+// exports. `transport` may be `email` (via `apostrophe-email`), `console`, `file` (see
+// also the `file` property) or a function. `mode` is the default for users who have not
+// chosen between `immediate`, `digest` and `none`. Digests are sent by the
+// `apostrophe-workflow:send-notification-digests` task.
+//
+// `webhooks: [ { url: 'https://example.com/hook', secret: 'xyz', events: [ 'commit' ] } ]`
+//
+// POST a signed JSON payload to each `url` on `commit`, `export`, `force-export`,
+// `revert`, `submit` and `activate`, or only on the listed `events`. Failed deliveries
+// are retried with exponential backoff (`webhooksRetryDelay`, default 30 seconds,
+// doubling up to `webhooksMaxAttempts`, default 8). The
+// `apostrophe-workflow:replay-webhooks` task retries deliveries that gave up.
+//
+// `batchCommitAllOrNothing: true`
+//
+// Batch commits from the pages and pieces managers are checked in full before anything
+// is committed, and the docs already committed are restored if a later commit fails, so
+// related docs never go live partially. See `commitAllOrNothing`.
 
 module.exports = {
 
@@ -66,14 +110,24 @@ module.exports = {
     self.enableRemoveNumberedParkedPagesTask();
     self.enableResolveJoinIdsTask();
     self.enableHarmonizeWorkflowGuidsByParkedIdTask();
+    self.enableRunScheduledTask();
+    self.enableSendNotificationDigestsTask();
+    self.enableReplayWebhooksTask();
     self.pushAssets();
     self.addToAdminBar();
     self.apos.pages.addAfterContextMenu(self.menu);
     self.enableHelpers();
     self.enableCrossDomainSessionCache();
     self.refineOptimizeKey();
+    self.enableScheduledCommitsTimer();
+    self.enableWebhooksTimer();
+    self.enableExportJobsTimer();
     return async.series([
       self.enableCollection,
+      self.enableAuditCollection,
+      self.enableNotificationsCollection,
+      self.enableWebhooksCollection,
+      self.enableExportJobsCollection,
       self.enableFacts,
       self.updateHistoricalPrefixes
     ], callback);
@@ -88,6 +142,13 @@ module.exports = {
     require('./lib/routes.js')(self, options);
     require('./lib/tasks.js')(self, options);
     require('./lib/helpers.js')(self, options);
+    require('./lib/notifications.js')(self, options);
+    require('./lib/webhooks.js')(self, options);
+    require('./lib/validation.js')(self, options);
+    require('./lib/conflicts.js')(self, options);
+    require('./lib/merge.js')(self, options);
+    require('./lib/exportJobs.js')(self, options);
+    require('./lib/autoExport.js')(self, options);
   }
 
 };
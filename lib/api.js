@@ -4,6 +4,7 @@ var deep = require('deep-get-set');
 var qs = require('qs');
 
 var removeDotPathViaSplice = require('./removeDotPathViaSplice.js');
+var wordDiff = require('./wordDiff.js');
 
 var diff = require('jsondiffpatch').create({
   objectHash: function(obj, index) {
@@ -194,14 +195,92 @@ module.exports = function(self, options) {
     }, callback);
   };
 
+  // Emit the promise event `name` of this module with the given arguments,
+  // then invoke the callback, which must be the last argument. Errors
+  // thrown or rejected by handlers are passed on to the callback.
+  //
+  // These lifecycle events are emitted: `beforeCommit(req, from, to)`,
+  // `afterCommit(req, from, to, commitId)`, `afterCompensateCommit(req, commit)`,
+  // `beforeExport(req, commit, draft)`, `afterExport(req, commit, result)`,
+  // `beforeForceExport(req, original, draft)`, `beforeSubmit(req, draft)`
+  // and `beforeRevert(req, draft, commit)`. A
+  // handler of a `before` event may cancel the action by throwing
+  // `self.veto(message)`, see `veto`.
+
+  self.emitLifecycleEvent = function(name /* , arg1, arg2..., callback */) {
+    var args = Array.prototype.slice.call(arguments, 0, arguments.length - 1);
+    var callback = arguments[arguments.length - 1];
+    return self.emit.apply(self, args).then(function() {
+      return callback(null);
+    }).catch(callback);
+  };
+
+  // Returns an error that cancels the action when thrown by a handler of
+  // a `before` lifecycle event, for instance:
+  //
+  // ```javascript
+  // self.on('apostrophe-workflow:beforeCommit', 'requireSummary', function(req, from, to) {
+  //   if (!from.summary) {
+  //     throw self.apos.modules['apostrophe-workflow'].veto('Please write a summary first.');
+  //   }
+  // });
+  // ```
+  //
+  // `message` is shown to the user in the result of the commit, export,
+  // submission or revert.
+
+  self.veto = function(message) {
+    var err = new Error(message);
+    err.workflowVeto = message;
+    return err;
+  };
+
+  // Returns true if `err` is a veto, see `veto`.
+
+  self.isVeto = function(err) {
+    return !!(err && err.workflowVeto);
+  };
+
+  // Notify the relevant users that `commitId` made the draft `from` live
+  // as `to`, and emit the `commit` webhook. Neither is waited for.
+
+  self.announceCommit = function(req, from, to, commitId, message) {
+    self.notify(req, 'commit', from, { submitted: from.workflowSubmitted, message: message });
+    self.emitWebhook(req, 'commit', to, { commitId: commitId });
+  };
+
   // You probably want `commitLatest`.
   //
   // Commit a doc from one locale to another. `from` and `to` should
   // be the doc as found in each of the locales. The callback receives
   // `(null, commitId)` where `commitId` is a unique identifier for
   // this specific commit.
+  //
+  // `options` may be omitted. If `options.message` is present it is
+  // stored with the commit, see `insertCommit`. `options.rollbackOf`
+  // flags the commit as a rollback to the state of that earlier commit
+  // id, see `rollback`. A rollback does not clear the submission of the
+  // draft, which was not committed. `options.changesetId` makes the commit
+  // part of that changeset, see `getChangeset`.
+  //
+  // Afterwards the draft is in sync with the live doc again, see
+  // `resetBaseRevision`. Unless this is a rollback or `options.autoExport`
+  // is false, the commit is then exported to the locales configured for
+  // its locale, see `autoExport`. Failing to start that export does not
+  // fail the commit.
+  //
+  // The commit does not take place if `validateCommit` finds problems,
+  // see `checkCommitProblems`. Emits `beforeCommit`, whose handlers may
+  // veto the commit, and `afterCommit`. See `emitLifecycleEvent`.
+  //
+  // Notifications and webhooks follow, see `announceCommit`, unless
+  // `options.announce` is false, in which case that is up to the caller.
 
-  self.commit = function(req, from, to, callback) {
+  self.commit = function(req, from, to, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
     var commitId;
     // For storage in the commits collection
     var originalTo = self.apos.utils.clonePermanent(to);
@@ -209,6 +288,8 @@ module.exports = function(self, options) {
     // from is not passed to it, possibly join-related?
     var originalFrom = self.apos.utils.clonePermanent(from);
     return async.series([
+      _.partial(self.checkCommitProblems, req, from, to),
+      _.partial(self.emitLifecycleEvent, 'beforeCommit', req, from, to),
       // Resolve the relationships for originalTo as well so we can straightforwardly
       // call diff() later
       _.partial(self.resolveRelationships, req, originalTo, to.workflowLocale),
@@ -217,12 +298,18 @@ module.exports = function(self, options) {
       _.partial(self.resolveRelationships, req, to, to.workflowLocale),
       insertCommit,
       _.partial(self.updateViaManager, req, to),
-      clearSubmitted
+      resetBaseRevision,
+      clearSubmitted,
+      afterCommit,
+      autoExport
     ], function(err) {
+      if ((!err) && (options.announce !== false)) {
+        self.announceCommit(req, from, to, commitId, options.message);
+      }
       return callback(err, commitId);
     });
     function insertCommit(callback) {
-      return self.insertCommit(req, originalFrom, originalTo, function(err, _commitId) {
+      return self.insertCommit(req, originalFrom, originalTo, _.pick(options, 'message', 'rollbackOf', 'changesetId'), function(err, _commitId) {
         if (err) {
           return callback(err);
         }
@@ -230,12 +317,37 @@ module.exports = function(self, options) {
         return callback(null);
       });
     }
+    function afterCommit(callback) {
+      return self.emitLifecycleEvent('afterCommit', req, from, to, commitId, callback);
+    }
+    function autoExport(callback) {
+      if (options.rollbackOf || (options.autoExport === false)) {
+        return callback(null);
+      }
+      return self.autoExport(req, commitId, function(err) {
+        if (err) {
+          self.apos.utils.error('Automatic export of commit ' + commitId + ' failed:', err);
+        }
+        return callback(null);
+      });
+    }
+    function resetBaseRevision(callback) {
+      // Also after a rollback, which is made deliberately from the
+      // history of this very draft
+      return self.resetBaseRevision(req, from, to, commitId, callback);
+    }
     function clearSubmitted(callback) {
+      if (options.rollbackOf) {
+        return callback(null);
+      }
+      // A pending scheduled commit is satisfied by this commit too
       return self.apos.docs.db.update({
         _id: from._id
       }, {
         $unset: {
-          workflowSubmitted: 1
+          workflowSubmitted: 1,
+          workflowScheduledCommit: 1,
+          workflowRejected: 1
         }
       }, callback);
     }
@@ -376,6 +488,82 @@ module.exports = function(self, options) {
     return setImmediate(callback);
   };
 
+  // Copy only the selected parts of the doc `from` to the doc `to`.
+  // `parts` is an array of schema field names, names of top-level areas
+  // and widget ids. A schema field brings its join id and relationship
+  // properties along. A widget replaces the widget with the same id in
+  // `to`, wherever it is, or if `to` no longer has it, is inserted at its
+  // old position if that area still exists. Parts that are not found, or
+  // that are excluded from workflow, are ignored.
+  //
+  // This method does not touch the database, that is up to you.
+
+  self.copySelectedProperties = function(from, to, parts) {
+    var manager = self.apos.docs.getManager(to.type);
+    var schema = (manager && manager.schema) || [];
+    _.each(parts, function(part) {
+      var field = _.find(schema, { name: part });
+      var props;
+      if (field) {
+        props = _.compact([ field.name, field.idField, field.idsField, field.relationshipsField ]);
+      } else if ((from[part] && (from[part].type === 'area')) || (to[part] && (to[part].type === 'area'))) {
+        props = [ part ];
+      }
+      if (!props) {
+        return self.copyWidget(from, to, part);
+      }
+      _.each(props, function(prop) {
+        if (!self.includeProperty(prop)) {
+          return;
+        }
+        if (_.has(from, prop)) {
+          to[prop] = _.cloneDeep(from[prop]);
+        } else {
+          delete to[prop];
+        }
+      });
+    });
+  };
+
+  // Copy the widget with the given id from the doc `from` to the doc `to`,
+  // see `copySelectedProperties`. Areas of joined docs are not considered.
+
+  self.copyWidget = function(from, to, widgetId) {
+    var found;
+    var replaced = false;
+    walkWidgets(from, function(area, dotPath, item, index) {
+      if (item._id === widgetId) {
+        found = { dotPath: dotPath, index: index, widget: item };
+      }
+    });
+    if (!found) {
+      return;
+    }
+    walkWidgets(to, function(area, dotPath, item, index) {
+      if (item._id === widgetId) {
+        area.items[index] = _.cloneDeep(found.widget);
+        replaced = true;
+      }
+    });
+    if (replaced) {
+      return;
+    }
+    var area = deep(to, found.dotPath);
+    if (area && Array.isArray(area.items)) {
+      area.items.splice(Math.min(found.index, area.items.length), 0, _.cloneDeep(found.widget));
+    }
+    function walkWidgets(doc, iterator) {
+      self.apos.areas.walk(doc, function(area, dotPath) {
+        if (dotPath.match(/(^|\.)_/)) {
+          return;
+        }
+        _.each(area.items || [], function(item, index) {
+          return iterator(area, dotPath, item, index);
+        });
+      });
+    }
+  };
+
   // Returns true if this top level doc property should be included
   // when committing changes from draft to live
   self.includeProperty = function(prop) {
@@ -426,10 +614,438 @@ module.exports = function(self, options) {
       rank: 1,
       type: 1,
       tags: 1,
+      workflowLocale: 1,
       workflowSubmitted: 1
     };
   };
 
+  // Submit the draft doc with the given id for review. Submitting again
+  // supersedes any earlier rejection and starts over at the first approval
+  // stage. Emits `beforeSubmit`, whose handlers may veto the submission.
+
+  self.submit = function(req, id, callback) {
+    var doc;
+    return async.series([
+      checkPermissions,
+      beforeSubmit,
+      submit
+    ], callback);
+    function checkPermissions(callback) {
+      return self.findDocs(req, { _id: id }, self.draftify(req.locale)).toObject(function(err, obj) {
+        if (err) {
+          return callback(err);
+        }
+        if ((!obj) || (!obj._edit)) {
+          return callback('not found');
+        }
+        doc = obj;
+        return callback(null);
+      });
+    }
+    function beforeSubmit(callback) {
+      return self.emitLifecycleEvent('beforeSubmit', req, doc, callback);
+    }
+    function submit(callback) {
+      return self.apos.docs.db.update({ _id: id }, { $set: { workflowSubmitted: self.addApprovalStage(doc, self.getWorkflowSubmittedProperty(req, { type: 'submit' })) }, $unset: { workflowRejected: 1 } }, function(err) {
+        if (!err) {
+          self.notify(req, 'submit', doc, {});
+          self.emitWebhook(req, 'submit', doc, {});
+        }
+        return callback(err);
+      });
+    }
+  };
+
+  // Reject the pending submission of the doc with the given id, with
+  // `comment` explaining why. `id` may be the draft or the live id.
+  // Like committing, this requires permission to edit the live version,
+  // unless the user may approve the stage the submission is waiting on.
+  //
+  // `workflowSubmitted` is replaced on the draft by `workflowRejected`,
+  // which has the reviewer's `username`, `name` and `email`, `when`, the
+  // `comment` and the original submission as `submitted`. The rejection is
+  // also recorded in the audit trail. `workflowRejected` is cleared when
+  // the doc is submitted again or committed. Rejecting a submission also
+  // discards the approvals it had received.
+  //
+  // On success the callback receives `(null, draftTitle)`. The error is
+  // `comment-required` if `comment` is empty, `notfound` if there is no such
+  // doc, `notsubmitted` if it is not waiting for review and `forbidden` if
+  // the user may not reject it.
+
+  self.reject = function(req, id, comment, callback) {
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    id = self.apos.launder.id(id);
+    comment = self.apos.launder.string(comment).trim();
+    if (!comment) {
+      return callback('comment-required');
+    }
+    var draft;
+    var rejected;
+    return async.series([
+      get,
+      update,
+      audit
+    ], function(err) {
+      if (!err) {
+        self.notify(req, 'reject', draft, { submitted: rejected.submitted, comment: rejected.comment });
+      }
+      return callback(err, draft && draft.title);
+    });
+    function get(callback) {
+      return self.getDraftAndLive(req, id, { areas: false, joins: false, permission: false }, function(err, _draft, live) {
+        if (err) {
+          return callback(err);
+        }
+        if (!_draft.workflowSubmitted) {
+          return callback('notsubmitted');
+        }
+        var stage = self.getPendingApprovalStage(_draft);
+        if (!(live._edit || (stage && self.canApproveStage(req, stage)))) {
+          return callback('forbidden');
+        }
+        draft = _draft;
+        return callback(null);
+      });
+    }
+    function update(callback) {
+      rejected = self.getWorkflowSubmittedProperty(req, {
+        comment: comment,
+        submitted: draft.workflowSubmitted
+      });
+      var stage = self.getPendingApprovalStage(draft);
+      if (stage) {
+        rejected.stage = stage;
+      }
+      return self.apos.docs.db.update({ _id: draft._id }, {
+        $set: {
+          workflowRejected: rejected
+        },
+        $unset: {
+          workflowSubmitted: 1
+        }
+      }, callback);
+    }
+    function audit(callback) {
+      return self.insertAuditEntry(req, 'reject', draft, {
+        comment: rejected.comment,
+        submitted: rejected.submitted
+      }, callback);
+    }
+  };
+
+  // Returns the names of the approval stages the submission of `doc`
+  // must pass, in order, before it can be committed, according to the
+  // `approvalStages` option. Returns an empty array if no approval is
+  // required for the type and locale of `doc`.
+
+  self.getApprovalStages = function(doc) {
+    var stages = (self.options.approvalStages || {})[doc.type];
+    if (stages && (!Array.isArray(stages))) {
+      // Keyed by live locale, with '*' as the fallback
+      var locale = self.liveify(doc.workflowLocale || '');
+      stages = stages[locale] || stages['*'];
+    }
+    return stages || [];
+  };
+
+  // Returns the configuration of the named approval stage, from the
+  // `approvalStageOptions` option. The result always has `name` and
+  // `label` properties, and either a `permission` property or a `group`
+  // property. By default a stage is tied to the group whose title is
+  // the name of the stage.
+
+  self.getApprovalStageOptions = function(name) {
+    var stage = (self.options.approvalStageOptions || {})[name] || {};
+    return _.assign({
+      name: name,
+      label: name
+    }, stage.permission ? {} : { group: name }, stage);
+  };
+
+  // Returns the name of the first approval stage that has not yet
+  // approved the submission of `draft`, or `null` if there is none
+  // waiting.
+
+  self.getPendingApprovalStage = function(draft) {
+    var approvals = (draft.workflowSubmitted && draft.workflowSubmitted.approvals) || [];
+    return _.find(self.getApprovalStages(draft), function(stage) {
+      return !_.find(approvals, { stage: stage });
+    }) || null;
+  };
+
+  // Returns true if every approval stage required for `draft` has
+  // approved its current submission, or if no stages are required.
+  // `commitLatest` refuses to commit until this is the case.
+
+  self.isApproved = function(draft) {
+    if (!self.getApprovalStages(draft).length) {
+      return true;
+    }
+    return !!(draft.workflowSubmitted && (!self.getPendingApprovalStage(draft)));
+  };
+
+  // Saving a draft changes what its approvers approved, so the approvals
+  // its submission received so far no longer count: the submission goes
+  // back to the first approval stage. Invoked by `docBeforeSave`.
+  // `approve` writes to the database directly and is not affected.
+
+  self.invalidateApprovals = function(doc) {
+    if (!(doc.workflowLocale && doc.workflowLocale.match(/-draft$/))) {
+      return;
+    }
+    var submitted = doc.workflowSubmitted;
+    if (!(submitted && submitted.approvals && submitted.approvals.length)) {
+      return;
+    }
+    submitted.approvals = [];
+    var stages = self.getApprovalStages(doc);
+    if (stages.length) {
+      submitted.stage = stages[0];
+    }
+  };
+
+  // Returns true if the user of `req` may approve submissions on
+  // behalf of the named stage, by permission or group membership
+  // as configured via `approvalStageOptions`.
+
+  self.canApproveStage = function(req, name) {
+    if (!req.user) {
+      return false;
+    }
+    var stage = self.getApprovalStageOptions(name);
+    if (stage.permission) {
+      return self.apos.permissions.can(req, stage.permission);
+    }
+    return !!_.find(req.user._groups || [], { title: stage.group });
+  };
+
+  // Given `submitted`, a new `workflowSubmitted` property for `doc`,
+  // start it off at the first approval stage required for `doc`, if any,
+  // by adding `stage` and `approvals` properties. Returns `submitted`.
+
+  self.addApprovalStage = function(doc, submitted) {
+    var stages = self.getApprovalStages(doc);
+    if (stages.length) {
+      submitted.stage = stages[0];
+      submitted.approvals = [];
+    }
+    return submitted;
+  };
+
+  // Returns true if the four-eyes policy, enabled by the `fourEyes`
+  // option, forbids the user of `req` from committing `draft` because
+  // they made the latest edit to it or submitted it. Tasks and other
+  // requests without a username are never forbidden.
+
+  self.fourEyesForbids = function(req, draft) {
+    if (!self.options.fourEyes) {
+      return false;
+    }
+    var username = req.user && req.user.username;
+    if (!username) {
+      return false;
+    }
+    return !!((draft.workflowLastEditedBy && (draft.workflowLastEditedBy.username === username)) ||
+      (draft.workflowSubmitted && (draft.workflowSubmitted.username === username)));
+  };
+
+  // Returns true if the four-eyes policy leaves the user of `req` any
+  // way to commit `draft`, possibly by overriding the policy. Used to
+  // decide whether to offer the Commit button at all.
+
+  self.mayCommitUnderFourEyes = function(req, draft) {
+    return (!self.fourEyesForbids(req, draft)) || self.canOverrideFourEyes(req);
+  };
+
+  // Returns true if the user of `req` may override the four-eyes
+  // policy by giving a reason. By default only admins may do so.
+
+  self.canOverrideFourEyes = function(req) {
+    return self.apos.permissions.can(req, 'admin');
+  };
+
+  // Invoke the callback with `null` if the four-eyes policy allows the
+  // user of `req` to commit `draft`, and with the error `four-eyes` if it
+  // does not. If the user may override the policy and `reason` is not
+  // empty, the override and its reason are recorded in the audit trail
+  // and the commit is allowed.
+
+  self.checkFourEyes = function(req, draft, reason, callback) {
+    if (!self.fourEyesForbids(req, draft)) {
+      return callback(null);
+    }
+    reason = self.apos.launder.string(reason);
+    if (!(reason && self.canOverrideFourEyes(req))) {
+      return callback('four-eyes');
+    }
+    return self.insertAuditEntry(req, 'four-eyes-override', draft, { reason: reason }, function(err) {
+      return callback(err);
+    });
+  };
+
+  // Group submitted docs, as returned by `getSubmitted`, by the approval
+  // stage they are waiting on. Returns an array of objects with `stage`,
+  // `label`, `canApprove` and `docs` properties: first the stages the user
+  // of `req` can approve, then the other stages, then the docs that are
+  // not waiting on any stage (`stage` is `null`). Used by the manage modal.
+
+  self.groupSubmittedByStage = function(req, submitted) {
+    var groups = {};
+    _.each(submitted, function(doc) {
+      var stage = self.getPendingApprovalStage(doc);
+      var key = stage || '';
+      if (!groups[key]) {
+        groups[key] = {
+          stage: stage,
+          label: stage && self.getApprovalStageOptions(stage).label,
+          canApprove: !!(stage && self.canApproveStage(req, stage)),
+          docs: []
+        };
+      }
+      groups[key].docs.push(doc);
+    });
+    return _.sortBy(_.values(groups), function(group) {
+      return group.canApprove ? 0 : (group.stage ? 1 : 2);
+    });
+  };
+
+  // Approve the submission of the doc with the given id on behalf of the
+  // stage it is waiting on. `id` may be the draft or the live id. The user
+  // must be able to approve that stage, see `canApproveStage`.
+  //
+  // The approval is added to the `approvals` array of `workflowSubmitted`,
+  // `workflowSubmitted.stage` moves on to the next stage or is removed after
+  // the last one, and the approval is recorded in the audit trail. On
+  // success the callback receives `(null, draftTitle, nextStage)`, where
+  // `nextStage` is `null` if the doc may now be committed.
+
+  self.approve = function(req, id, callback) {
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    id = self.apos.launder.id(id);
+    var draft;
+    var stage;
+    var approval;
+    var next;
+    return async.series([
+      get,
+      update,
+      audit
+    ], function(err) {
+      return callback(err, draft && draft.title, next);
+    });
+    function get(callback) {
+      // Approvers do not necessarily have editing privileges
+      return self.getDraftAndLive(req, id, { areas: false, joins: false, permission: false }, function(err, _draft) {
+        if (err) {
+          return callback(err);
+        }
+        if (!_draft.workflowSubmitted) {
+          return callback('notsubmitted');
+        }
+        stage = self.getPendingApprovalStage(_draft);
+        if (!stage) {
+          return callback('approved');
+        }
+        if (!self.canApproveStage(req, stage)) {
+          return callback('forbidden');
+        }
+        draft = _draft;
+        return callback(null);
+      });
+    }
+    function update(callback) {
+      approval = self.getWorkflowSubmittedProperty(req, { stage: stage });
+      var submitted = _.clone(draft.workflowSubmitted);
+      submitted.approvals = (submitted.approvals || []).concat([ approval ]);
+      next = self.getPendingApprovalStage(_.assign({}, draft, { workflowSubmitted: submitted }));
+      if (next) {
+        submitted.stage = next;
+      } else {
+        delete submitted.stage;
+      }
+      return self.apos.docs.db.update({ _id: draft._id }, {
+        $set: {
+          workflowSubmitted: submitted
+        }
+      }, callback);
+    }
+    function audit(callback) {
+      return self.insertAuditEntry(req, 'approve', draft, {
+        stage: stage,
+        submitted: _.omit(draft.workflowSubmitted, 'approvals')
+      }, callback);
+    }
+  };
+
+  // Fetch the docs the current user submitted that are still waiting
+  // for review, or were rejected and not yet submitted again, in all
+  // locales. The callback receives `(null, array)`, newest first.
+
+  self.getMySubmissions = function(req, callback) {
+    if (!(req.user && req.user.username)) {
+      return callback(null, []);
+    }
+    return self.apos.docs.find(req, {
+      $or: [
+        {
+          'workflowSubmitted.username': req.user.username
+        },
+        {
+          'workflowRejected.submitted.username': req.user.username
+        }
+      ]
+    }, self.getMySubmissionsProjection()).workflowLocale(null).sort({ updatedAt: -1 }).trash(null).published(null).toArray(callback);
+  };
+
+  // Returns the projection used by `getMySubmissions`.
+
+  self.getMySubmissionsProjection = function() {
+    return _.assign({}, self.getSubmittedProjection(), {
+      workflowRejected: 1
+    });
+  };
+
+  // Record an entry in the audit trail, which is kept in the
+  // `aposWorkflowAudit` collection. `type` names the action, for
+  // instance `reject`. `doc` is the draft the action concerns, and the
+  // properties of `data` are added to the entry. On success the
+  // callback receives `(null, _id)`.
+
+  self.insertAuditEntry = function(req, type, doc, data, callback) {
+    var _id = self.apos.utils.generateId();
+    return self.auditDb.insert(_.assign({
+      _id: _id,
+      type: type,
+      docId: doc._id,
+      workflowGuid: doc.workflowGuid,
+      locale: doc.workflowLocale,
+      title: doc.title,
+      user: _.pick(req.user || {}, 'username', 'title', '_id'),
+      createdAt: new Date()
+    }, data || {}), function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, _id);
+    });
+  };
+
+  // Fetch audit trail entries matching the MongoDB `criteria`, newest
+  // first. `options.limit` defaults to 50. No permissions checks are made,
+  // so restrict `criteria` appropriately. The callback receives
+  // `(null, entries)`.
+
+  self.getAuditTrail = function(criteria, options, callback) {
+    return self.auditDb.find(criteria).sort({ createdAt: -1 }).limit(options.limit || 50).toArray(callback);
+  };
+
   // Returns a cursor to find docs even if they are in the trash or
   // unpublished, without regard to locale (except for permissions checks) unless
   // the locale argument is present. The locale argument may be completely
@@ -512,34 +1128,200 @@ module.exports = function(self, options) {
 
   };
 
-  // Decide whether a doc type is subject to workflow as documented for the module options.
+  // Fetch one version of the doc whose draft or live id is `id`, for
+  // comparison. `version` may be `draft`, `live` or the id of a commit of
+  // that doc, meaning the state that commit made live. The current user
+  // must be able to edit both the draft and the live doc.
+  //
+  // On success the callback receives `(null, doc, draft, live)`, where
+  // `doc` is a copy of the version without temporary properties, safe
+  // to modify, while `draft` and `live` are the current docs.
 
-  self.includeType = function(type) {
-    if (self.includeTypes) {
-      if (!_.contains(self.includeTypes, type)) {
-        return false;
+  self.getVersion = function(req, id, version, callback) {
+    return self.getDraftAndLive(req, id, {}, function(err, draft, live) {
+      if (err) {
+        return callback(err);
       }
-    }
-    if (self.excludeTypes) {
-      var result = !_.contains(self.excludeTypes, type);
-      return result;
-    }
-    return true;
+      if (version === 'draft') {
+        return callback(null, self.apos.utils.clonePermanent(draft), draft, live);
+      }
+      if (version === 'live') {
+        return callback(null, self.apos.utils.clonePermanent(live), draft, live);
+      }
+      return self.db.findOne({ _id: version, workflowGuid: draft.workflowGuid }, function(err, commit) {
+        if (err) {
+          return callback(err);
+        }
+        if (!commit) {
+          return callback('notfound');
+        }
+        return callback(null, self.apos.utils.clonePermanent(commit.from), draft, live);
+      });
+    });
   };
 
-  // Get hostname:port string for current request.
-  // Used by the subdomain-based locale picker
+  // Compare two versions of the doc whose draft or live id is `id`. `from`
+  // and `to` may each be `draft`, `live` or a commit id, see `getVersion`.
+  // Typically `from` is the older one.
+  //
+  // On success the callback receives `(null, diff, before, after)`, where
+  // `diff` describes the widgets added, removed, moved or changed between
+  // them in the format of `applyPatch` with an array argument, and `before`
+  // and `after` are the two versions with their relationships resolved to
+  // the draft locale, for use with `getModifiedFields`.
+
+  self.compareVersions = function(req, id, from, to, callback) {
+    var before, after;
+    var diff = [];
+    return async.series([
+      getBefore,
+      getAfter,
+      resolveRelationships,
+      generateDiff
+    ], function(err) {
+      return callback(err, diff, before, after);
+    });
 
-  self.getHost = function(req) {
+    function getBefore(callback) {
+      return self.getVersion(req, id, from, function(err, version) {
+        before = version;
+        return callback(err);
+      });
+    }
+
+    function getAfter(callback) {
+      return self.getVersion(req, id, to, function(err, version) {
+        after = version;
+        return callback(err);
+      });
+    }
+
+    // As for the diff route, resolve toward the draft locale. Right for
+    // visual comparison, wrong for applying a patch
+    function resolveRelationships(callback) {
+      return async.eachSeries([ before, after ], function(version, callback) {
+        if (version.workflowLocale.match(/-draft$/)) {
+          return callback(null);
+        }
+        return self.resolveRelationships(req, version, self.draftify(version.workflowLocale), callback);
+      }, callback);
+    }
+
+    function generateDiff(callback) {
+      var _before = _.cloneDeep(before);
+      var _after = _.cloneDeep(after);
+      self.deleteExcludedProperties(_before);
+      self.deleteExcludedProperties(_after);
+      return self.applyPatch(_before, _after, diff, callback);
+    }
+  };
+
+  // Returns a word level comparison of the string properties of a widget
+  // or array item that differ between `before` and `after`, as an object
+  // whose keys are the property names and whose values are `after`'s
+  // value marked up with `<ins>` and `<del>`, see `lib/wordDiff.js`. The
+  // `content` of a rich text widget is compared as markup. Returns
+  // undefined if no string property differs. For previewing only; patches
+  // still replace strings as a whole.
+
+  self.getTextDiff = function(before, after) {
+    var textDiff = {};
+    _.each(_.union(_.keys(before), _.keys(after)), function(key) {
+      if (key.match(/^_/) || (key === 'type') || (key === 'metaType')) {
+        return;
+      }
+      var older = before[key];
+      var newer = after[key];
+      if (older === newer) {
+        return;
+      }
+      if (!(isText(older) && isText(newer))) {
+        return;
+      }
+      var html = wordDiff(older, newer, { html: (after.type === 'apostrophe-rich-text') && (key === 'content') });
+      if (html !== null) {
+        textDiff[key] = html;
+      }
+    });
+    return _.isEmpty(textDiff) ? undefined : textDiff;
+    function isText(value) {
+      return (value === undefined) || (typeof (value) === 'string');
+    }
+  };
+
+  // Returns a word level comparison of the `string` schema fields of a doc
+  // that differ between the versions `before` and `after`, as an array of
+  // objects with `name`, `label` and `html` properties. `html` is `after`'s
+  // value, escaped and marked up with `<ins>` and `<del>`. Used by the
+  // `diff` route to show modified fields above the preview.
+
+  self.getFieldTextDiffs = function(before, after) {
+    var manager = self.apos.docs.getManager(after.type);
+    var schema = (manager && manager.schema) || [];
+    var fields = [];
+    _.each(schema, function(field) {
+      if ((field.type !== 'string') || (!self.includeProperty(field.name))) {
+        return;
+      }
+      var older = before[field.name] || '';
+      var newer = after[field.name] || '';
+      if ((typeof (older) !== 'string') || (typeof (newer) !== 'string') || (older === newer)) {
+        return;
+      }
+      var html = wordDiff(older, newer);
+      if (html === null) {
+        return;
+      }
+      fields.push({
+        name: field.name,
+        label: field.label || field.name,
+        html: html
+      });
+    });
+    return fields;
+  };
+
+  // Decide whether a doc type is subject to workflow as documented for the module options.
+
+  self.includeType = function(type) {
+    if (self.includeTypes) {
+      if (!_.contains(self.includeTypes, type)) {
+        return false;
+      }
+    }
+    if (self.excludeTypes) {
+      var result = !_.contains(self.excludeTypes, type);
+      return result;
+    }
+    return true;
+  };
+
+  // Get hostname:port string for current request.
+  // Used by the subdomain-based locale picker
+
+  self.getHost = function(req) {
     return req.get('Host') || '';
   };
 
   // Given "before" and "after" versions of a document
   // typically (live vs. draft), deliver `(null, fields)`
-  // to the callback, where `fields` is an array of
-  // schema field names that have been modified.
+  // to the callback, where `fields` is an array of the
+  // labels of schema fields that have been modified.
 
   self.getModifiedFields = function(req, before, after, callback) {
+    return self.getModifiedFieldDetails(req, before, after, function(err, fields) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, _.pluck(fields, 'label'));
+    });
+  };
+
+  // Like `getModifiedFields`, but `fields` is an array of objects with
+  // `name` and `label` properties. If the type changed, the array includes
+  // `{ name: 'type', label: 'Type' }`, which is not a schema field.
+
+  self.getModifiedFieldDetails = function(req, before, after, callback) {
     return self.resolveRelationships(req, before, after.workflowLocale, function(err) {
       if (err) {
         return callback(err);
@@ -571,16 +1353,227 @@ module.exports = function(self, options) {
           }
         }
         if (!_.isEqual(before[prop], after[prop])) {
-          modifiedFields.push(field.label);
+          modifiedFields.push({ name: field.name, label: field.label });
         }
       });
       if (before.type !== after.type) {
-        modifiedFields.push('Type');
+        modifiedFields.push({ name: 'type', label: 'Type' });
       }
       return callback(null, modifiedFields);
     });
   };
 
+  // Returns an array of objects with `name` and `label` properties for
+  // the top-level areas that are not schema fields, such as areas edited
+  // in context on a page, and differ between `before` and `after`. Call
+  // `getModifiedFields` or `getModifiedFieldDetails` first to resolve
+  // relationships in `before` to the locale of `after`.
+
+  self.getModifiedAreas = function(before, after) {
+    var schema = self.apos.docs.getManager(after.type).schema || [];
+    var names = _.uniq(_.keys(before).concat(_.keys(after)));
+    return _.map(_.filter(names, function(name) {
+      var a = before[name];
+      var b = after[name];
+      if (!(((a && (a.type === 'area')) || (b && (b.type === 'area'))) && self.includeProperty(name))) {
+        return false;
+      }
+      if (_.find(schema, { name: name })) {
+        return false;
+      }
+      return !_.isEqual((a && a.items) || [], (b && b.items) || []);
+    }), function(name) {
+      return { name: name, label: name };
+    });
+  };
+
+  // Report the schema fields that differ between `before` and `after`
+  // in a readable form, for review before or after a commit. The callback
+  // receives `(null, changes)`, where `changes` is an array of objects with
+  // `name`, `label`, `type`, `before` and `after` properties. `before` and
+  // `after` are strings in display form, see `formatFieldValue`. For array
+  // fields, `items` also describes the changes item by item, see
+  // `getArrayItemChanges`. As with `getModifiedFieldDetails`, relationships
+  // in `before` are first resolved to the locale of `after`.
+
+  self.getFieldChanges = function(req, before, after, callback) {
+    return self.getModifiedFieldDetails(req, before, after, function(err, modifiedFields) {
+      if (err) {
+        return callback(err);
+      }
+      var schema = self.apos.docs.getManager(after.type).schema;
+      return async.mapSeries(modifiedFields, function(modified, callback) {
+        if (modified.name === 'type') {
+          return callback(null, {
+            name: 'type',
+            label: modified.label,
+            type: 'type',
+            before: before.type,
+            after: after.type
+          });
+        }
+        return self.getFieldChange(req, _.find(schema, { name: modified.name }), before, after, callback);
+      }, callback);
+    });
+  };
+
+  // Describe the change to the schema field `field` between the objects
+  // `before` and `after`, which may be docs or array items, as one entry of
+  // the array delivered by `getFieldChanges`.
+
+  self.getFieldChange = function(req, field, before, after, callback) {
+    var change = {
+      name: field.name,
+      label: field.label || field.name,
+      type: field.type
+    };
+    return async.series([
+      formatBefore,
+      formatAfter,
+      getItems
+    ], function(err) {
+      return callback(err, change);
+    });
+
+    function formatBefore(callback) {
+      return self.formatFieldValue(req, field, before, function(err, value) {
+        change.before = value;
+        return callback(err);
+      });
+    }
+
+    function formatAfter(callback) {
+      return self.formatFieldValue(req, field, after, function(err, value) {
+        change.after = value;
+        return callback(err);
+      });
+    }
+
+    function getItems(callback) {
+      if (field.type !== 'array') {
+        return callback(null);
+      }
+      return self.getArrayItemChanges(req, field, before[field.name] || [], after[field.name] || [], function(err, items) {
+        change.items = items;
+        return callback(err);
+      });
+    }
+  };
+
+  // Deliver the value of the schema field `field` in `object` as a string
+  // for display: joins as the titles of the joined docs, booleans as Yes or
+  // No, selects, radios and checkboxes by the labels of their choices,
+  // areas as plain text, arrays as a count of items. An empty value is
+  // the empty string.
+
+  self.formatFieldValue = function(req, field, object, callback) {
+    var value = object[field.name];
+    var ids;
+    if ((field.type === 'joinByOne') || (field.type === 'joinByArray')) {
+      ids = (field.type === 'joinByOne') ? _.compact([ object[field.idField] ]) : (object[field.idsField] || []);
+      if (!ids.length) {
+        return callback(null, '');
+      }
+      return self.apos.docs.db.findWithProjection({ _id: { $in: ids } }, { title: 1, slug: 1 }).toArray(function(err, docs) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, _.map(ids, function(id) {
+          var doc = _.find(docs, { _id: id });
+          return doc ? (doc.title || doc.slug) : id;
+        }).join(', '));
+      });
+    }
+    if ((value === undefined) || (value === null)) {
+      return callback(null, (field.type === 'boolean') ? 'No' : '');
+    }
+    switch (field.type) {
+      case 'boolean':
+        return callback(null, value ? 'Yes' : 'No');
+      case 'select':
+      case 'radio':
+        return callback(null, choiceLabel(value));
+      case 'checkboxes':
+        return callback(null, _.map(value, choiceLabel).join(', '));
+      case 'tags':
+        return callback(null, value.join(', '));
+      case 'area':
+      case 'singleton':
+        return callback(null, self.apos.areas.plaintext(value, { limit: 200 }));
+      case 'array':
+        return callback(null, (value.length === 1) ? '1 item' : (value.length + ' items'));
+      case 'attachment':
+        return callback(null, value.name ? (value.name + '.' + value.extension) : '');
+      case 'password':
+        return callback(null, value ? '********' : '');
+    }
+    if ((typeof (value) === 'object')) {
+      return callback(null, JSON.stringify(value));
+    }
+    return callback(null, String(value));
+
+    function choiceLabel(value) {
+      var choice = _.find(field.choices || [], { value: value });
+      return choice ? choice.label : String(value);
+    }
+  };
+
+  // Compare the items of the array field `field` by `_id`. The callback
+  // receives `(null, items)`, where each entry has `_id`, `label` and
+  // `change` properties. `change` is `added`, `removed`, `moved` or
+  // `modified`; unchanged items are left out. `fields` lists the changes to
+  // the fields of the item in the format of `getFieldChanges`, compared with
+  // an empty item for added and removed items. The label is the value of
+  // the `titleField` of the array field if any, otherwise the position of
+  // the item.
+
+  self.getArrayItemChanges = function(req, field, before, after, callback) {
+    var schema = field.schema || [];
+    var items = [];
+    _.each(after, function(item, i) {
+      var old = _.find(before, { _id: item._id });
+      if (!old) {
+        items.push({ item: item, old: {}, change: 'added', index: i });
+      } else if (!_.isEqual(item, old)) {
+        items.push({ item: item, old: old, change: 'modified', index: i });
+      } else if (_.indexOf(before, old) !== i) {
+        items.push({ item: item, old: old, change: 'moved', index: i });
+      }
+    });
+    _.each(before, function(old, i) {
+      if (!_.find(after, { _id: old._id })) {
+        items.push({ item: {}, old: old, change: 'removed', index: i });
+      }
+    });
+    return async.mapSeries(items, function(entry, callback) {
+      var shown = (entry.change === 'removed') ? entry.old : entry.item;
+      var description = {
+        _id: shown._id,
+        label: (field.titleField && shown[field.titleField]) || ('#' + (entry.index + 1)),
+        change: entry.change,
+        fields: []
+      };
+      if (entry.change === 'moved') {
+        return callback(null, description);
+      }
+      return async.eachSeries(schema, function(subfield, callback) {
+        var prop = subfield.idField || subfield.idsField || subfield.name;
+        if (_.isEqual(entry.old[prop] || false, entry.item[prop] || false)) {
+          return callback(null);
+        }
+        return self.getFieldChange(req, subfield, entry.old, entry.item, function(err, change) {
+          if (err) {
+            return callback(err);
+          }
+          description.fields.push(change);
+          return callback(null);
+        });
+      }, function(err) {
+        return callback(err, description);
+      });
+    }, callback);
+  };
+
   self.draftify = function(locale) {
     if (locale.match(/-draft$/)) {
       return locale;
@@ -606,6 +1599,89 @@ module.exports = function(self, options) {
     }, data || {});
   };
 
+  // Set the publication window of the doc with the given id in its locale.
+  // `id` may be the draft or the live id. `window` may have `embargoUntil`
+  // and `unpublishAt` properties, which are dates or strings accepted by
+  // `launderPublishAt`. A missing or empty property removes that limit.
+  //
+  // The window is stored as `workflowEmbargoUntil` and `workflowUnpublishAt`
+  // on both the draft and the live version of the doc in that locale only;
+  // like all `workflow` properties these are never committed or exported.
+  // It is enforced on the live version by the `workflowLocale` cursor filter,
+  // see `getPublicationWindowCriteria`.
+  //
+  // The current user must be able to edit the live version of the doc.
+
+  self.setPublicationWindow = function(req, id, window, callback) {
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    id = self.apos.launder.id(id);
+    var embargoUntil = self.launderPublishAt(window.embargoUntil);
+    var unpublishAt = self.launderPublishAt(window.unpublishAt);
+    if (embargoUntil && unpublishAt && (unpublishAt <= embargoUntil)) {
+      return callback('invalid');
+    }
+    return self.getDraftAndLive(req, id, { areas: false, joins: false }, function(err, draft, live) {
+      if (err) {
+        return callback(err);
+      }
+      if (!live._edit) {
+        return callback('forbidden');
+      }
+      var $set = {};
+      var $unset = {};
+      if (embargoUntil) {
+        $set.workflowEmbargoUntil = embargoUntil;
+      } else {
+        $unset.workflowEmbargoUntil = 1;
+      }
+      if (unpublishAt) {
+        $set.workflowUnpublishAt = unpublishAt;
+      } else {
+        $unset.workflowUnpublishAt = 1;
+      }
+      var update = {};
+      if (!_.isEmpty($set)) {
+        update.$set = $set;
+      }
+      if (!_.isEmpty($unset)) {
+        update.$unset = $unset;
+      }
+      return self.apos.docs.db.update({
+        _id: { $in: [ draft._id, live._id ] }
+      }, update, { multi: true }, callback);
+    });
+  };
+
+  // Returns MongoDB criteria matching only docs that are inside their
+  // publication window at the time `now` (defaults to the current time).
+  // Docs without `workflowEmbargoUntil` or `workflowUnpublishAt` properties
+  // always match.
+
+  self.getPublicationWindowCriteria = function(now) {
+    now = now || new Date();
+    return {
+      workflowEmbargoUntil: { $not: { $gt: now } },
+      workflowUnpublishAt: { $not: { $lte: now } }
+    };
+  };
+
+  // Returns true if `doc` is inside its publication window at the
+  // time `now` (defaults to the current time). See `setPublicationWindow`.
+
+  self.isWithinPublicationWindow = function(doc, now) {
+    now = now || new Date();
+    if (doc.workflowEmbargoUntil && (doc.workflowEmbargoUntil > now)) {
+      return false;
+    }
+    if (doc.workflowUnpublishAt && (doc.workflowUnpublishAt <= now)) {
+      return false;
+    }
+    return true;
+  };
+
   // Given an array of doc ids, deliver `(null, modified, unmodified, committable)`
   // to the callback. `modified` is an array consisting of the
   // docs that have been modified. `unmodified` is an array
@@ -642,7 +1718,7 @@ module.exports = function(self, options) {
       var committable = [];
       _.each(relatedModified.concat(relatedUnmodified), function(doc) {
         if (_.has(liveVersions, doc._id)) {
-          if (liveVersions[doc._id]._edit) {
+          if (liveVersions[doc._id]._edit && self.mayCommitUnderFourEyes(req, doc)) {
             committable.push(doc);
           }
         }
@@ -885,7 +1961,14 @@ module.exports = function(self, options) {
     if (!req.user) {
       return '';
     }
-    return self.partial('menu', { workflowMode: req.session.workflowMode, localized: self.localized });
+    return self.partial('menu', {
+      workflowMode: req.session.workflowMode,
+      localized: self.localized,
+      // Offers the side by side view of the page or piece
+      context: req.data.workflow && req.data.workflow.context,
+      // Offers to resolve conflicts left by exports, see `recordMergeConflicts`
+      conflicts: (req.data.workflow && req.data.workflow.context && req.data.workflow.context.workflowConflicts) || []
+    });
   };
 
   // Record the commit permanently in a MongoDB collection for later
@@ -895,10 +1978,19 @@ module.exports = function(self, options) {
   //
   // On success the callback receives `(null, _id)` where `_id` is
   // the unique identifier for this specific commit in the collection.
-
-  self.insertCommit = function(req, from, to, callback) {
+  //
+  // `options` may be omitted. If `options.message` is a non-empty
+  // string it is stored as the `message` property of the commit,
+  // explaining why the change went live. `options.rollbackOf` is stored
+  // as the `rollbackOf` property, see `rollback`.
+
+  self.insertCommit = function(req, from, to, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
     var _id = self.apos.utils.generateId();
-    return self.db.insert({
+    var commit = {
       _id: _id,
       locale: to.workflowLocale,
       workflowGuid: to.workflowGuid,
@@ -908,7 +2000,18 @@ module.exports = function(self, options) {
       to: self.apos.utils.clonePermanent(to),
       user: _.pick(req.user || {}, 'username', 'title', '_id'),
       createdAt: new Date()
-    }, function(err) {
+    };
+    var message = self.apos.launder.string(options.message);
+    if (message) {
+      commit.message = message;
+    }
+    if (options.rollbackOf) {
+      commit.rollbackOf = options.rollbackOf;
+    }
+    if (options.changesetId) {
+      commit.changesetId = options.changesetId;
+    }
+    return self.db.insert(commit, function(err) {
       if (err) {
         return callback(err);
       }
@@ -987,11 +2090,16 @@ module.exports = function(self, options) {
   // [
   //   { dotPath: 'x.y.z', '_id': 'abc', 'change': 'added', after: '_id', value: { ... } },
   //   { '_id': 'def', 'change': 'removed' },
-  //   { '_id': 'ghi', 'change': 'changed', value: { ... } },
+  //   { '_id': 'ghi', 'change': 'modified', value: { ... }, textDiff: { content: '...' } },
   //   { '_id': 'jkl', 'change': 'moved', dotPath: 'x.y.z' }
   // ]
   //
   // This array is intended to facilitate previewing, not as a patch format.
+  // `textDiff` is present when string properties of the object changed,
+  // see `getTextDiff`.
+  //
+  // `export` merges with `mergeDocs` instead, which reports what could
+  // not be applied.
 
   self.applyPatch = function(to, from, draft, callback) {
 
@@ -1115,7 +2223,7 @@ module.exports = function(self, options) {
           // console.log(toObjects.dotPaths[value._id]);
           // console.log(JSON.stringify(value, null, '  '));
           // console.log(JSON.stringify(toObjects.byId[value._id], null, '  '));
-          description.push({ change: 'modified', _id: value._id, value: value });
+          description.push({ change: 'modified', _id: value._id, value: value, textDiff: self.getTextDiff(toObjects.byId[value._id], value) });
           // Don't try to patch something the locale exported to doesn't have at all
         } else if (_.has(draftObjects.byId, value._id)) {
           updateObject(draft, draftObjects, toObjects.byId[value._id], value, originalFrom[value._id]);
@@ -1452,7 +2560,8 @@ module.exports = function(self, options) {
 
     return self.apos.docs.db.update(
       self.getCriteriaAcrossLocales(req, doc, locales, options),
-      { $set: set },
+      // Live docs changed this way conflict with older drafts, see `hasConflict`
+      { $set: set, $inc: { workflowRevision: 1 } },
       { multi: true },
       callback
     );
@@ -1505,18 +2614,50 @@ module.exports = function(self, options) {
   // On success, reports `(null, commitId, draftTitle)`
   // to the callback.
   //
+  // If `options.publishAt` is a date in the future, the commit
+  // is scheduled via `scheduleCommit` rather than carried out now.
+  // In that case `commitId` is `null`. `options.message` is stored
+  // with the commit, or with the schedule. `options.changesetId` makes
+  // the commit part of that changeset, see `getChangeset`.
+  // `options.autoExport` is passed on to `commit`. `options` may be
+  // omitted.
+  //
+  // If approval stages apply to the doc, the callback receives the
+  // error `unapproved` until all of them have approved, see `isApproved`.
+  //
+  // If the four-eyes policy forbids the current user from committing
+  // the doc, the callback receives the error `four-eyes`, unless
+  // `options.fourEyesReason` is given by a user who may override the
+  // policy. See `checkFourEyes`.
+  //
+  // If the live doc changed since the draft started diverging from it,
+  // the callback receives an error made by `conflictError`, unless
+  // `options.overwrite` is true. See `checkConflict`.
+  //
   // The `id` argument is sanitized, so it is safe
   // to pass user input directly.
 
-  self.commitLatest = function(req, id, callback) {
+  self.commitLatest = function(req, id, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
     if (!req.user) {
       // confusion to the enemy
       return callback('error');
     }
     id = self.apos.launder.id(id);
+    var publishAt = self.launderPublishAt(options.publishAt);
+    if (publishAt && (publishAt > new Date())) {
+      return self.scheduleCommit(req, id, publishAt, { message: options.message, fourEyesReason: options.fourEyesReason }, function(err, title) {
+        return callback(err, null, title);
+      });
+    }
     var draft, live, commitId;
     return async.series({
       getDraftAndLive,
+      checkFourEyes,
+      checkConflict,
       commit
     }, function(err) {
       if (err) {
@@ -1529,97 +2670,924 @@ module.exports = function(self, options) {
         if (err) {
           return callback(err);
         }
+        if (!self.isApproved(_draft)) {
+          return callback('unapproved');
+        }
         draft = _draft;
         live = _live;
         return callback(null, draft, live);
       });
     }
+    function checkFourEyes(callback) {
+      return self.checkFourEyes(req, draft, options.fourEyesReason, callback);
+    }
+    function checkConflict(callback) {
+      return self.checkConflict(req, draft, live, options.overwrite, callback);
+    }
     function commit(callback) {
-      return self.commit(req, draft, live, function(err, _commitId) {
+      return self.commit(req, draft, live, _.pick(options, 'message', 'changesetId', 'autoExport', 'announce'), function(err, _commitId) {
         commitId = _commitId;
         return callback(err);
       });
     }
   };
 
-  self.revert = function(req, commitId, callback) {
-    var id = self.apos.launder.id(commitId);
-
-    return async.waterfall([getDocAndCommit, copyIncludedProperties, deleteObsoleteAreas, update], callback);
-
-    function getDocAndCommit(callback) {
-      return self.findDocAndCommit(req, id, callback);
-    }
+  // Commit the doc `id` as `commitLatest` does, with `options`, after
+  // setting its publication window to `window`, see `setPublicationWindow`,
+  // so that the window is in effect as soon as the commit goes live. If
+  // the commit fails, the previous window is restored. An invalid window is
+  // reported as `invalid-window` and nothing is done. The callback receives
+  // the same arguments as that of `commitLatest`.
 
-    function copyIncludedProperties(doc, commit, callback) {
-      return self.copyIncludedProperties(req, commit.from, doc, (err) => {
-        if (err) {
-          return callback(err);
+  self.commitWithPublicationWindow = function(req, id, window, options, callback) {
+    var previous;
+    return async.series([
+      getPrevious,
+      setWindow
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return self.commitLatest(req, id, options, function(err, commitId, title) {
+        if (!err) {
+          return callback(null, commitId, title);
         }
-        callback(null, commit, doc);
+        return self.setPublicationWindow(req, id, previous, function(_err) {
+          if (_err) {
+            self.apos.utils.error(_err);
+          }
+          return callback(err);
+        });
       });
-    }
+    });
 
-    function deleteObsoleteAreas(commit, doc, callback) {
-      return self.deleteObsoleteAreas(req, commit.from, doc, function(err) {
+    function getPrevious(callback) {
+      return self.getDraftAndLive(req, self.apos.launder.id(id), { areas: false, joins: false }, function(err, draft) {
         if (err) {
           return callback(err);
         }
-        return callback(null, doc);
+        previous = {
+          embargoUntil: draft.workflowEmbargoUntil,
+          unpublishAt: draft.workflowUnpublishAt
+        };
+        return callback(null);
       });
     }
 
-    function update(draft, callback) {
-      return self.apos.docs.update(req, draft, callback);
+    function setWindow(callback) {
+      return self.setPublicationWindow(req, id, window, function(err) {
+        return callback((err === 'invalid') ? 'invalid-window' : err);
+      });
     }
   };
 
-  // Export the given commit id (NOT doc id) to the given locales.
-  // On success the callback receives `(null, result)`
-  // where `result` is an object with `success` and `errors` properties.
-  // `success` is an array of locale names, `errors` is
-  // an array of objects with `locale` and `message` properties.
+  // Commit the current drafts of the docs `ids`, in that order, all or
+  // nothing. First every doc is checked as `commitLatest` would: approval
+  // stages, the four-eyes policy, conflicts with changes to the live doc
+  // and `validateCommit`. If any doc fails a
+  // check, nothing is committed. Otherwise the docs are committed one by
+  // one; if a commit fails, the live versions of the docs already committed
+  // are restored, see `compensateCommit`. Handlers of `beforeCommit` can
+  // only be consulted at commit time, so a veto also leads to restoring.
   //
-  // Note that failure to export to a locale does not result
-  // in an error as the first argument to the callback as this may occur
-  // in normal situations such as a document too different
-  // to calculate a diff against.
+  // `options.message`, `options.changesetId` and `options.overwrite` are
+  // passed on to `commitLatest`. Notifications and webhooks, see
+  // `announceCommit`, and automatic exports, see `autoExport`, only follow
+  // once the whole batch is committed. `options` may be omitted.
   //
-  // This method validates both `id` and `locales`, so
-  // it is acceptable to pass user input directly.
-
-  self.export = function(req, id, locales, callback) {
-    if (!req.user) {
-      // Confusion to the enemy
-      return callback('error');
+  // The callback receives `(null, report)`, unless the restoring itself
+  // fails. `report.status` is `committed` or `failed`. `report.docs` has an
+  // entry for each id with `id`, `title` and `status` properties. `status`
+  // is `committed` (with `commitId`), `restored`, `not-restored` (the
+  // live doc changed since, see `compensateCommit`), `unapproved`,
+  // `four-eyes`, `conflict` (with `changes`, see `getConflict`),
+  // `invalid` (with `problems`), `vetoed` (with `message`),
+  // `error`, or `not-committed` for docs that were fine but were not
+  // committed because another one was not.
+
+  self.commitAllOrNothing = function(req, ids, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
     }
+    ids = self.apos.launder.ids(ids);
+    var report = {
+      status: 'failed',
+      docs: _.map(ids, function(id) {
+        return { id: id, status: 'not-committed' };
+      })
+    };
+    var failed = false;
+    return async.series([
+      check,
+      commit
+    ], function(err) {
+      return callback(err, report);
+    });
 
-    id = self.apos.launder.id(id);
-
-    if (Array.isArray(locales)) {
-      locales = _.filter(locales, function(locale) {
-        return ((typeof (locale) === 'string') && (_.has(self.locales, locale)));
-      });
+    function check(callback) {
+      return async.eachSeries(report.docs, function(entry, callback) {
+        return self.getDraftAndLive(req, entry.id, {}, function(err, draft, live) {
+          if (err) {
+            return fail(entry, err, callback);
+          }
+          entry.title = draft.title;
+          if (!self.isApproved(draft)) {
+            return fail(entry, 'unapproved', callback);
+          }
+          if (self.fourEyesForbids(req, draft)) {
+            return fail(entry, 'four-eyes', callback);
+          }
+          return self.checkConflict(req, draft, live, options.overwrite, function(err) {
+            if (err) {
+              return fail(entry, err, callback);
+            }
+            return self.validateCommit(req, draft, live, function(err, problems) {
+              if (err) {
+                return fail(entry, err, callback);
+              }
+              if (problems.length) {
+                return fail(entry, self.invalidCommitError(problems), callback);
+              }
+              return callback(null);
+            });
+          });
+        });
+      }, callback);
     }
-    locales = _.map(locales, function(locale) {
-      return self.draftify(locale);
-    });
 
-    var success = [];
-    var errors = [];
-    var commit;
+    function commit(callback) {
+      if (failed) {
+        return callback(null);
+      }
+      var committed = [];
+      return async.eachSeries(report.docs, function(entry, callback) {
+        return self.commitLatest(req, entry.id, _.assign(_.pick(options, 'message', 'changesetId', 'overwrite'), { autoExport: false, announce: false }), function(err, commitId) {
+          if (err) {
+            // Stop here, then restore
+            return fail(entry, err, function() {
+              return callback('stop');
+            });
+          }
+          entry.status = 'committed';
+          entry.commitId = commitId;
+          committed.push(entry);
+          return callback(null);
+        });
+      }, function(err) {
+        if (!err) {
+          report.status = 'committed';
+          return async.series([ announce, autoExport ], callback);
+        }
+        return async.eachSeries(committed.reverse(), function(entry, callback) {
+          return self.compensateCommit(req, entry.commitId, function(err) {
+            if (err === 'live-changed') {
+              entry.status = 'not-restored';
+              return callback(null);
+            }
+            if (err) {
+              return callback(err);
+            }
+            entry.status = 'restored';
+            return callback(null);
+          });
+        }, callback);
+      });
+    }
+
+    function announce(callback) {
+      return async.eachSeries(report.docs, function(entry, callback) {
+        return self.db.findOne({ _id: entry.commitId }, function(err, commit) {
+          if (err || !commit) {
+            self.apos.utils.error('Announcing commit ' + entry.commitId + ' failed:', err || 'notfound');
+            return callback(null);
+          }
+          return self.findDocs(req, { _id: commit.toId }, commit.locale).toObject(function(err, live) {
+            if (err || !live) {
+              self.apos.utils.error('Announcing commit ' + entry.commitId + ' failed:', err || 'notfound');
+              return callback(null);
+            }
+            self.announceCommit(req, commit.from, live, commit._id, commit.message);
+            return callback(null);
+          });
+        });
+      }, callback);
+    }
+
+    function autoExport(callback) {
+      return async.eachSeries(report.docs, function(entry, callback) {
+        return self.autoExport(req, entry.commitId, function(err) {
+          if (err) {
+            self.apos.utils.error('Automatic export of commit ' + entry.commitId + ' failed:', err);
+          }
+          return callback(null);
+        });
+      }, callback);
+    }
+
+    function fail(entry, err, callback) {
+      failed = true;
+      if (self.isInvalidCommit(err)) {
+        entry.status = 'invalid';
+        entry.problems = err.workflowProblems;
+      } else if (self.isVeto(err)) {
+        entry.status = 'vetoed';
+        entry.message = err.workflowVeto;
+      } else if (self.isConflict(err)) {
+        entry.status = 'conflict';
+        entry.changes = err.workflowConflict.changes;
+      } else if ((err === 'unapproved') || (err === 'four-eyes')) {
+        entry.status = err;
+      } else {
+        self.apos.utils.error(err);
+        entry.status = 'error';
+      }
+      return callback(null);
+    }
+  };
+
+  // Undo the commit `commitId` by restoring the live doc from the `to`
+  // snapshot stored with the commit, and the submission and base revision
+  // of the draft, if any, from the `from` snapshot. The live doc is saved
+  // through its manager, as a commit does, so that save handlers run and
+  // its `workflowRevision` moves on. The commit is flagged `compensated`
+  // and `afterCompensateCommit(req, commit)` is emitted, so that handlers
+  // of `afterCommit` can take back what they did.
+  //
+  // If the live doc changed since the commit, restoring it would lose
+  // that change: the callback receives the error `live-changed` and
+  // nothing is restored.
+  //
+  // Used by `commitAllOrNothing` when a later commit of the batch fails.
+  // Unlike `rollback`, no new commit is made, since the batch never
+  // landed as a whole.
+
+  self.compensateCommit = function(req, commitId, callback) {
+    var commit, live;
+    return async.series([
+      getCommit,
+      getLive,
+      restoreLive,
+      restoreDraft,
+      flag,
+      afterCompensateCommit
+    ], callback);
+
+    function getCommit(callback) {
+      return self.db.findOne({ _id: commitId }, function(err, _commit) {
+        if (err) {
+          return callback(err);
+        }
+        if (!_commit) {
+          return callback('notfound');
+        }
+        commit = _commit;
+        return callback(null);
+      });
+    }
+
+    function getLive(callback) {
+      return self.getDraftAndLive(req, commit.fromId, {}, function(err, draft, _live) {
+        if (err) {
+          return callback(err);
+        }
+        if ((_live.workflowRevision || 0) !== commit.liveRevision) {
+          return callback('live-changed');
+        }
+        live = _live;
+        return callback(null);
+      });
+    }
+
+    function restoreLive(callback) {
+      var before = _.cloneDeep(commit.to);
+      return async.series([
+        _.partial(self.copyIncludedProperties, req, before, live),
+        _.partial(self.deleteObsoleteAreas, req, before, live),
+        _.partial(self.updateViaManager, req, live)
+      ], callback);
+    }
+
+    function restoreDraft(callback) {
+      var update = {};
+      var $set = _.pick(commit.from, 'workflowSubmitted', 'workflowScheduledCommit', 'workflowRejected');
+      if (commit.from.workflowBaseRevision === undefined) {
+        // The commit gave the draft a base revision it did not have before
+        update.$unset = { workflowBaseRevision: 1 };
+      } else if (commit.from.workflowBaseRevision === (commit.to.workflowRevision || 0)) {
+        // The draft was in sync with the live doc before the commit, and
+        // still is now that the live doc is back as it was, under a new
+        // revision
+        $set.workflowBaseRevision = live.workflowRevision || 0;
+      } else {
+        $set.workflowBaseRevision = commit.from.workflowBaseRevision;
+      }
+      if (!_.isEmpty($set)) {
+        update.$set = $set;
+      }
+      return self.apos.docs.db.update({ _id: commit.fromId }, update, callback);
+    }
+
+    function flag(callback) {
+      return self.db.update({ _id: commitId }, { $set: { compensated: true } }, callback);
+    }
+
+    function afterCompensateCommit(callback) {
+      return self.emitLifecycleEvent('afterCompensateCommit', req, commit, callback);
+    }
+  };
+
+  // Schedule the current draft of the given doc id to be committed
+  // to the live locale at the date `publishAt`. The schedule is stored
+  // on the draft as the `workflowScheduledCommit` property, which has
+  // the same shape as `workflowSubmitted` plus `publishAt` and `userId`.
+  // Scheduling again replaces any earlier schedule.
+  //
+  // The current user must be able to edit the live version of the doc,
+  // and any approval stages must have approved, exactly as if they were
+  // committing it now. On success the callback receives
+  // `(null, draftTitle)`.
+  //
+  // `options` may be omitted. `options.message` is kept with the schedule
+  // and becomes the message of the commit. The four-eyes policy is checked
+  // now, with `options.fourEyesReason` as the reason for any override.
+  // The draft is validated now as well as when the commit takes place,
+  // and checked for conflicts with live changes when the commit takes
+  // place, see `checkConflict`.
+  //
+  // The commit itself is carried out by `runScheduledCommits`.
+
+  self.scheduleCommit = function(req, id, publishAt, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    id = self.apos.launder.id(id);
+    publishAt = self.launderPublishAt(publishAt);
+    if (!publishAt) {
+      return callback('invalid');
+    }
+    return self.getDraftAndLive(req, id, {}, function(err, draft, live) {
+      if (err) {
+        return callback(err);
+      }
+      if (!live._edit) {
+        return callback('forbidden');
+      }
+      if (!self.isApproved(draft)) {
+        return callback('unapproved');
+      }
+      return async.series([
+        _.partial(self.checkFourEyes, req, draft, options.fourEyesReason),
+        _.partial(self.checkCommitProblems, req, draft, live)
+      ], function(err) {
+        if (err) {
+          return callback(err);
+        }
+        var scheduled = self.getWorkflowSubmittedProperty(req, {
+          publishAt: publishAt,
+          userId: req.user._id
+        });
+        var message = self.apos.launder.string(options.message);
+        if (message) {
+          scheduled.message = message;
+        }
+        return self.apos.docs.db.update({ _id: draft._id }, {
+          $set: {
+            workflowScheduledCommit: scheduled
+          }
+        }, function(err) {
+          return callback(err, draft.title);
+        });
+      });
+    });
+  };
+
+  // Cancel the pending scheduled commit of the given doc id, if any.
+  // `id` may be the draft or the live id. The current user must be
+  // able to edit the draft.
+
+  self.cancelScheduledCommit = function(req, id, callback) {
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    id = self.apos.launder.id(id);
+    return self.getDraftAndLive(req, id, { areas: false, joins: false }, function(err, draft, live) {
+      if (err) {
+        return callback(err);
+      }
+      return self.apos.docs.db.update({ _id: draft._id }, { $unset: { workflowScheduledCommit: 1 } }, callback);
+    });
+  };
+
+  // Convert a `publishAt` value, which may be a `Date` or a string
+  // parseable by `new Date()` (typically ISO 8601 from the browser), to
+  // a `Date`. Returns `null` if the value is empty or invalid.
+
+  self.launderPublishAt = function(value) {
+    if (!value) {
+      return null;
+    }
+    var date = (value instanceof Date) ? value : new Date(self.apos.launder.string(value));
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+    return date;
+  };
+
+  // The callback receives `(null, array)` where `array` contains
+  // basic information about the docs visible to `req` that have a pending
+  // scheduled commit, soonest first. Like `getSubmitted`, `options.criteria`
+  // is merged with the MongoDB criteria if present.
+
+  self.getScheduledCommits = function(req, options, callback) {
+    var criteria = options.criteria || {};
+    criteria = {
+      $and: [
+        {
+          workflowScheduledCommit: { $exists: 1 }
+        },
+        criteria
+      ]
+    };
+    return self.apos.docs.find(req, criteria, self.getScheduledCommitsProjection()).sort({ 'workflowScheduledCommit.publishAt': 1 }).trash(null).published(null).toArray(callback);
+  };
+
+  // Returns the projection used by `getScheduledCommits`.
+  // Should be enough to generate permalinks.
+
+  self.getScheduledCommitsProjection = function() {
+    return _.assign({}, self.getSubmittedProjection(), {
+      workflowScheduledCommit: 1
+    });
+  };
+
+  // Commit every draft whose scheduled commit is due, via `self.commit`.
+  // Runs inside a lock so that several processes, or the timer and the
+  // `apostrophe-workflow:run-scheduled` task, cannot commit the same
+  // doc twice. A failure to commit one doc is logged and does not
+  // prevent the others from being committed; that doc stays scheduled
+  // and is retried on the next run, unless the failure was a conflict
+  // with live changes, see `recordScheduledCommitConflict`.
+
+  self.runScheduledCommits = function(callback) {
+    return self.apos.locks.withLock('apostrophe-workflow-scheduled-commits', function(callback) {
+      return self.apos.docs.db.findWithProjection({
+        'workflowScheduledCommit.publishAt': { $lte: new Date() },
+        'workflowScheduledCommit.conflict': { $exists: 0 }
+      }, {
+        _id: 1,
+        workflowLocale: 1,
+        workflowScheduledCommit: 1
+      }).toArray(function(err, docs) {
+        if (err) {
+          return callback(err);
+        }
+        return async.eachSeries(docs, function(doc, callback) {
+          return self.runScheduledCommit(doc, function(err) {
+            if (err) {
+              self.apos.utils.error('Scheduled commit of ' + doc._id + ' failed:', err);
+            }
+            return callback(null);
+          });
+        }, callback);
+      });
+    }, callback);
+  };
+
+  // Carry out the scheduled commit for one draft `doc`, which must
+  // have `_id`, `workflowLocale` and `workflowScheduledCommit` properties.
+  // Called by `runScheduledCommits`.
+
+  self.runScheduledCommit = function(doc, callback) {
+    var req = self.getScheduledCommitReq(doc);
+    return self.getDraftAndLive(req, doc._id, {}, function(err, draft, live) {
+      if (err) {
+        return callback(err);
+      }
+      if (!self.isApproved(draft)) {
+        // Submitted again since it was scheduled
+        return callback('unapproved');
+      }
+      return self.checkConflict(req, draft, live, false, function(err) {
+        if (self.isConflict(err)) {
+          return self.recordScheduledCommitConflict(doc, draft, err.workflowConflict, callback);
+        }
+        if (err) {
+          return callback(err);
+        }
+        return self.commit(req, draft, live, { message: doc.workflowScheduledCommit.message }, callback);
+      });
+    });
+  };
+
+  // The live version of the draft `draft` changed since the draft was
+  // started, so its scheduled commit would overwrite that change, see
+  // `getConflict`. Record `conflict` as the `conflict` property of the
+  // `workflowScheduledCommit` property of the draft, so that it is no
+  // longer attempted, and notify whoever scheduled it. `doc` is as passed to
+  // `runScheduledCommit`.
+
+  self.recordScheduledCommitConflict = function(doc, draft, conflict, callback) {
+    return self.apos.docs.db.update({ _id: doc._id }, {
+      $set: {
+        'workflowScheduledCommit.conflict': _.assign({ createdAt: new Date() }, conflict)
+      }
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      self.notify(self.apos.tasks.getReq({ locale: doc.workflowLocale }), 'conflict', draft, { submitted: doc.workflowScheduledCommit });
+      return callback(null);
+    });
+  };
+
+  // Returns a `req` object suitable for carrying out the scheduled commit
+  // of `doc`. Permissions were checked when the commit was scheduled, so
+  // this is a task `req`, however the user who scheduled the commit is
+  // credited with it in the commit history.
+
+  self.getScheduledCommitReq = function(doc) {
+    var scheduled = doc.workflowScheduledCommit;
+    var req = self.apos.tasks.getReq({ locale: doc.workflowLocale });
+    _.assign(req.user, {
+      _id: scheduled.userId,
+      username: scheduled.username,
+      title: scheduled.name,
+      email: scheduled.email
+    });
+    return req;
+  };
+
+  // Revert the draft of a doc to the version made live by the given
+  // commit, `commit.from`. Emits `beforeRevert`, whose handlers may veto
+  // it.
+  //
+  // `options` may be omitted. If `options.parts` is a non-empty array of
+  // schema field names, top-level area names and widget ids, only those
+  // parts are reverted and everything else stays as it is, see
+  // `copySelectedProperties`.
+
+  self.revert = function(req, commitId, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    var id = self.apos.launder.id(commitId);
+    var parts = (options.parts && options.parts.length) ? options.parts : null;
+
+    return async.waterfall([getDocAndCommit, beforeRevert, copyIncludedProperties, deleteObsoleteAreas, update], callback);
+
+    function getDocAndCommit(callback) {
+      return self.findDocAndCommit(req, id, callback);
+    }
+
+    function beforeRevert(doc, commit, callback) {
+      return self.emitLifecycleEvent('beforeRevert', req, doc, commit, function(err) {
+        return callback(err, doc, commit);
+      });
+    }
+
+    function copyIncludedProperties(doc, commit, callback) {
+      if (parts) {
+        self.copySelectedProperties(commit.from, doc, parts);
+        return callback(null, commit, doc);
+      }
+      return self.copyIncludedProperties(req, commit.from, doc, (err) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, commit, doc);
+      });
+    }
+
+    function deleteObsoleteAreas(commit, doc, callback) {
+      if (parts) {
+        return callback(null, doc);
+      }
+      return self.deleteObsoleteAreas(req, commit.from, doc, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback(null, doc);
+      });
+    }
+
+    function update(draft, callback) {
+      return self.apos.docs.update(req, draft, function(err) {
+        if (!err) {
+          self.emitWebhook(req, 'revert', draft, { commitId: id });
+        }
+        return callback(err);
+      });
+    }
+  };
+
+  // Roll the live version of a doc back to the state it had after the given
+  // commit (NOT doc id), by committing that state again through `commit`.
+  // The draft is left alone. The new commit has a `rollbackOf` property
+  // pointing to the original commit. The current user must be able to
+  // edit both the draft and the live version. Approval stages and the
+  // four-eyes policy do not apply, since that state was already approved
+  // once, but validation and `beforeCommit` handlers do.
+  //
+  // `options` may be omitted. `options.message` is stored with the new
+  // commit. If `options.export` is true the rollback is also exported to
+  // the locales that the original commit was exported to, see `export`.
+  // If `options.before` is true the live version returns to the state it
+  // had just before the given commit instead, undoing it. The new commit
+  // belongs to the changeset `options.changesetId`, if any.
+  //
+  // On success the callback receives `(null, result)`, where `result` has
+  // `commitId` and `title` properties and, if exported, an `exported`
+  // property with the result of `export`.
+
+  self.rollback = function(req, commitId, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    if (!req.user) {
+      // confusion to the enemy
+      return callback('error');
+    }
+    var id = self.apos.launder.id(commitId);
+    var original, draft, live;
+    var result = {};
+    return async.series([
+      getDocAndCommit,
+      getDraftAndLive,
+      commit,
+      exportRollback
+    ], function(err) {
+      return callback(err, result);
+    });
+
+    function getDocAndCommit(callback) {
+      return self.findDocAndCommit(req, id, function(err, doc, _commit) {
+        original = _commit;
+        return callback(err);
+      });
+    }
+
+    function getDraftAndLive(callback) {
+      return self.getDraftAndLive(req, original.fromId, {}, function(err, _draft, _live) {
+        draft = _draft;
+        live = _live;
+        return callback(err);
+      });
+    }
+
+    function commit(callback) {
+      var from = _.assign(self.apos.utils.clonePermanent(options.before ? original.to : original.from), {
+        _id: draft._id,
+        workflowLocale: draft.workflowLocale,
+        workflowGuid: draft.workflowGuid
+      });
+      // Not a new submission
+      delete from.workflowSubmitted;
+      return self.commit(req, from, live, { message: options.message, rollbackOf: original._id, changesetId: options.changesetId }, function(err, commitId) {
+        result.commitId = commitId;
+        result.title = from.title;
+        return callback(err);
+      });
+    }
+
+    function exportRollback(callback) {
+      if (!(options.export && original.exportedTo && original.exportedTo.length)) {
+        return callback(null);
+      }
+      return self.export(req, result.commitId, original.exportedTo, function(err, exported) {
+        result.exported = exported;
+        return callback(err);
+      });
+    }
+  };
+
+  // Deliver the commits of the changeset `changesetId`, oldest first, to
+  // the callback as `(null, commits)`. A changeset is the set of commits
+  // made together in one session: by the browser's commit sequence for a
+  // doc and its related docs, by `batch-commit`, or by `rollbackChangeset`.
+  // Each commit in it has the same `changesetId` property. Only commits of
+  // docs the current user can edit are included. The `from` and `to`
+  // properties are reduced to a few properties for display.
+
+  self.getChangeset = function(req, changesetId, callback) {
+    var commits;
+    return async.series([
+      getCommits,
+      filterEditable
+    ], function(err) {
+      return callback(err, commits);
+    });
+
+    function getCommits(callback) {
+      return self.db.findWithProjection({ changesetId: self.apos.launder.id(changesetId) }, {
+        from: 0,
+        to: 0
+      }).sort({ createdAt: 1 }).toArray(function(err, _commits) {
+        commits = _commits;
+        return callback(err);
+      });
+    }
+
+    function filterEditable(callback) {
+      return self.findDocs(req, { _id: { $in: _.pluck(commits, 'fromId') } }).toArray(function(err, docs) {
+        if (err) {
+          return callback(err);
+        }
+        commits = _.filter(commits, function(commit) {
+          var doc = _.find(docs, { _id: commit.fromId });
+          if (!(doc && doc._edit)) {
+            return false;
+          }
+          commit.doc = _.pick(doc, '_id', 'title', 'slug', 'type', 'workflowLocale', '_url');
+          return true;
+        });
+        return callback(null);
+      });
+    }
+  };
+
+  // Deliver `(null, true)` to the callback if the user of `req` may add
+  // commits to the existing changeset `changesetId`, that is if every
+  // commit already in it is theirs. Otherwise anyone could slip commits
+  // into somebody else's changeset, and `rollbackChangeset` would undo
+  // them too. A changeset without commits cannot be joined either: its
+  // id is issued by the server with the first commit.
+
+  self.mayJoinChangeset = function(req, changesetId, callback) {
+    if (!(req.user && req.user._id && changesetId)) {
+      return callback(null, false);
+    }
+    return self.db.findWithProjection({ changesetId: changesetId }, { 'user._id': 1 }).toArray(function(err, commits) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, !!(commits.length && _.every(commits, function(commit) {
+        return commit.user && (commit.user._id === req.user._id);
+      })));
+    });
+  };
+
+  // Export every commit of the changeset `changesetId` to the given
+  // locales, see `export`. The callback receives `(null, results)`, where
+  // `results` has a property for each commit id, with the result of
+  // `export` for that commit.
+
+  self.exportChangeset = function(req, changesetId, locales, callback) {
+    var results = {};
+    return self.getChangeset(req, changesetId, function(err, commits) {
+      if (err) {
+        return callback(err);
+      }
+      return async.eachSeries(commits, function(commit, callback) {
+        return self.export(req, commit._id, locales, function(err, result) {
+          results[commit._id] = result;
+          return callback(err);
+        });
+      }, function(err) {
+        return callback(err, results);
+      });
+    });
+  };
+
+  // Undo the changeset `changesetId` in the live locale: every doc it
+  // committed returns to the state it had just before the first commit of
+  // it in the changeset, see `rollback` with the `before` option. The
+  // rollback commits form a new changeset, so a rollback can be rolled back
+  // in turn. `options.message` and `options.export` are passed on to
+  // `rollback`.
+  //
+  // On success the callback receives `(null, result)`, where `result` has
+  // a `changesetId` property and a `commits` property, an array with the
+  // result of `rollback` for each doc.
+
+  self.rollbackChangeset = function(req, changesetId, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    var result = {
+      changesetId: self.apos.utils.generateId(),
+      commits: []
+    };
+    return self.getChangeset(req, changesetId, function(err, commits) {
+      if (err) {
+        return callback(err);
+      }
+      if (!commits.length) {
+        return callback('notfound');
+      }
+      var firsts = _.uniq(commits, function(commit) {
+        return commit.workflowGuid + ':' + commit.locale;
+      });
+      return async.eachSeries(firsts, function(commit, callback) {
+        return self.rollback(req, commit._id, _.assign({}, options, {
+          before: true,
+          changesetId: result.changesetId
+        }), function(err, _result) {
+          if (err) {
+            return callback(err);
+          }
+          result.commits.push(_result);
+          return callback(null);
+        });
+      }, function(err) {
+        return callback(err, result);
+      });
+    });
+  };
+
+  // Export the given commit id (NOT doc id) to the given locales.
+  // On success the callback receives `(null, result)`
+  // where `result` is an object with `success`, `errors` and `outcomes`
+  // properties. `success` is an array of locale names, `errors` is
+  // an array of objects with `locale` and `message` properties.
+  //
+  // The changes made by the commit are merged into the draft of each
+  // locale, see `mergeDocs`. `outcomes` has a property for each locale
+  // in `success`, the array of outcomes of the merge: for each widget and
+  // property the commit changed, whether it was applied, already matched,
+  // or skipped because that locale changed it or no longer has it. Conflicts are not
+  // applied; they are recorded on the draft for an editor to resolve, see
+  // `recordMergeConflicts`, so they do not prevent the export.
+  //
+  // Note that failure to export to a locale does not result
+  // in an error as the first argument to the callback as this may occur
+  // in normal situations such as a missing draft. Neither does a veto
+  // by a handler of `beforeExport`, which is emitted for each locale: the
+  // veto message is reported in `errors`. `afterExport` is emitted with
+  // the result.
+  //
+  // The locales exported to successfully are added to the `exportedTo`
+  // array property of the commit.
+  //
+  // If `options.dryRun` is true the merge is carried out on copies of the
+  // drafts and nothing is saved, recorded or emitted. The result, which
+  // has a `dryRun: true` property, previews what an export would do in
+  // each locale. `options` may be omitted.
+  //
+  // If `options.commit` is true, each draft that received the export is
+  // committed right away in its locale, see `commitExported`. The result
+  // then has a `commits` property, with the id of the commit made in each
+  // locale, and a `commitErrors` array of objects with `locale` and
+  // `message` properties for the drafts exported but not committed, see
+  // `commitExportedMessages`. A commit that fails with an error is
+  // reported there too and does not prevent the other locales from being
+  // committed. Ignored for a dry run.
+  //
+  // This method validates both `id` and `locales`, so
+  // it is acceptable to pass user input directly.
+
+  self.export = function(req, id, locales, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    if (!req.user) {
+      // Confusion to the enemy
+      return callback('error');
+    }
+
+    id = self.apos.launder.id(id);
+
+    if (Array.isArray(locales)) {
+      locales = _.filter(locales, function(locale) {
+        return ((typeof (locale) === 'string') && (_.has(self.locales, locale)));
+      });
+    }
+    locales = _.map(locales, function(locale) {
+      return self.draftify(locale);
+    });
+
+    var success = [];
+    var errors = [];
+    var outcomes = {};
+    var commits = {};
+    var commitErrors = [];
+    var commit;
+    var commitExports = options.commit && !options.dryRun;
 
     return async.series({
       getCommit,
-      applyPatches
+      applyPatches,
+      recordExport,
+      afterExport
     }, function(err) {
       if (err) {
         return callback(err);
       }
-      return callback(null, {
+      return callback(null, _.assign({
         success: success,
-        errors: errors
-      });
+        errors: errors,
+        outcomes: outcomes
+      }, options.dryRun ? { dryRun: true } : {}, commitExports ? { commits: commits, commitErrors: commitErrors } : {}));
     });
 
     function getCommit(callback) {
@@ -1639,6 +3607,21 @@ module.exports = function(self, options) {
       });
     }
 
+    // Remember where the commit went, so that a rollback can follow it
+    function recordExport(callback) {
+      if (options.dryRun || !success.length) {
+        return callback(null);
+      }
+      return self.db.update({ _id: commit._id }, { $addToSet: { exportedTo: { $each: success } } }, callback);
+    }
+
+    function afterExport(callback) {
+      if (options.dryRun) {
+        return callback(null);
+      }
+      return self.emitLifecycleEvent('afterExport', req, commit, { success: success, errors: errors, outcomes: outcomes }, callback);
+    }
+
     function applyPatches(callback) {
 
       return async.eachSeries(locales, function(locale, callback) {
@@ -1648,7 +3631,17 @@ module.exports = function(self, options) {
         from = _.cloneDeep(commit.from);
         to = _.cloneDeep(commit.to);
 
-        return async.series([ getDraft, resolveToSource, applyPatch, resolveToDestination, update ], callback);
+        // A dry run merges into the draft as found, which is never saved
+        var steps = options.dryRun ? [ getDraft, resolveToSource, merge ] : [ getDraft, beforeExport, resolveToSource, merge, resolveToDestination, recordConflicts, update, commitDraft ];
+
+        return async.series(steps, function(err) {
+          if (self.isVeto(err)) {
+            // Skip this locale only
+            errors.push({ locale: self.liveify(locale), message: err.workflowVeto });
+            return callback(null);
+          }
+          return callback(err);
+        });
 
         function getDraft(callback) {
           return self.findDocs(req, { workflowGuid: commit.workflowGuid }, locale).toObject(function(err, _draft) {
@@ -1663,6 +3656,10 @@ module.exports = function(self, options) {
           });
         }
 
+        function beforeExport(callback) {
+          return self.emitLifecycleEvent('beforeExport', req, commit, draft, callback);
+        }
+
         // Resolve relationship ids in the "from" document (which will have
         // been in a draft locale) and in the "draft" document (where we are
         // exporting to) to point to a consistent locale, so that the diff applies properly
@@ -1673,7 +3670,7 @@ module.exports = function(self, options) {
           ], callback);
         }
 
-        function applyPatch(callback) {
+        function merge(callback) {
           self.deleteExcludedProperties(from);
           self.deleteExcludedProperties(to);
 
@@ -1682,17 +3679,11 @@ module.exports = function(self, options) {
             return callback(null);
           }
 
-          return self.applyPatch(to, from, draft, function(err) {
-            if (err) {
-              errors.push({ locale: self.liveify(locale), message: 'Some or all content was too different' });
-            } else {
-              draft.workflowImportedFrom = draft.workflowImportedFrom || {};
-              draft.workflowImportedFrom[self.liveify(req.locale)] = new Date();
-              success.push(self.liveify(locale));
-            }
-            return callback(null);
-          });
-
+          outcomes[self.liveify(locale)] = self.mergeDocs(to, from, draft);
+          draft.workflowImportedFrom = draft.workflowImportedFrom || {};
+          draft.workflowImportedFrom[self.liveify(req.locale)] = new Date();
+          success.push(self.liveify(locale));
+          return callback(null);
         }
 
         // Resolve relationship ids back to the locale the draft is coming from
@@ -1700,9 +3691,57 @@ module.exports = function(self, options) {
           return self.resolveRelationships(req, draft, draft.workflowLocale, callback);
         }
 
+        // The values kept with the conflicts must point to the locale of the
+        // draft too
+        function recordConflicts(callback) {
+          if (!_.find(outcomes[self.liveify(locale)], { outcome: 'conflict' })) {
+            return callback(null);
+          }
+          var base = _.cloneDeep(commit.to);
+          var ours = _.cloneDeep(commit.from);
+          return async.series([
+            _.partial(self.resolveRelationships, req, base, draft.workflowLocale),
+            _.partial(self.resolveRelationships, req, ours, draft.workflowLocale)
+          ], function(err) {
+            if (err) {
+              return callback(err);
+            }
+            self.recordMergeConflicts(draft, commit, outcomes[self.liveify(locale)], base, ours);
+            return callback(null);
+          });
+        }
+
         function update(callback) {
-          draft.workflowSubmitted = self.getWorkflowSubmittedProperty(req, { type: 'exported' });
-          return self.apos.docs.update(req, draft, callback);
+          // Carry the message of the source commit so that editors in the
+          // target locale know what they are receiving
+          draft.workflowSubmitted = self.addApprovalStage(draft, self.getWorkflowSubmittedProperty(req, _.assign({ type: 'exported' }, commit.message ? { message: commit.message } : {})));
+          return self.apos.docs.update(req, draft, function(err) {
+            if ((!err) && _.includes(success, self.liveify(locale))) {
+              self.notify(req, 'export', draft, { message: commit.message });
+              self.emitWebhook(req, 'export', draft, { commitId: commit._id });
+            }
+            return callback(err);
+          });
+        }
+
+        function commitDraft(callback) {
+          if (!(commitExports && _.includes(success, self.liveify(locale)))) {
+            return callback(null);
+          }
+          return self.commitExported(req, draft, commit.message, function(err, commitId, message) {
+            if (err) {
+              // Reported for this locale only, so that the others are
+              // still committed
+              self.apos.utils.error(err);
+              message = self.commitExportedMessages.error;
+            }
+            if (commitId) {
+              commits[self.liveify(locale)] = commitId;
+            } else {
+              commitErrors.push({ locale: self.liveify(locale), message: message });
+            }
+            return callback(null);
+          });
         }
       }, callback);
     }
@@ -1720,8 +3759,24 @@ module.exports = function(self, options) {
   // overall error because it can be a normal situation and
   // does not indicate a systemic problem (TODO: is this
   // really true for this method in the same way it is true for export?)
-
-  self.forceExport = function(req, id, locales, callback) {
+  //
+  // `beforeForceExport` is emitted for each locale. A veto by one of its
+  // handlers is reported in `errors`.
+  //
+  // If `options.dryRun` is true nothing is saved or emitted. Instead the
+  // result has `dryRun: true` and an `outcomes` property with, for each
+  // locale in `success`, the changes the draft would receive, in the
+  // format of `mergeDocs`. `options` may be omitted.
+  //
+  // `options.commit` commits each draft right after the export, as it
+  // does for `export`, with the same `commits` and `commitErrors`
+  // properties in the result.
+
+  self.forceExport = function(req, id, locales, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
     if (!req.user) {
       // Confusion to the enemy
       return callback('error');
@@ -1729,7 +3784,11 @@ module.exports = function(self, options) {
     id = self.apos.launder.id(id);
     var success = [];
     var errors = [];
+    var outcomes = {};
+    var commits = {};
+    var commitErrors = [];
     var original;
+    var commitExports = options.commit && !options.dryRun;
     if (Array.isArray(locales)) {
       locales = _.filter(locales, function(locale) {
         return ((typeof (locale) === 'string') && (_.has(self.locales, locale)));
@@ -1745,10 +3804,10 @@ module.exports = function(self, options) {
       if (err) {
         return callback(err);
       }
-      return callback(null, {
+      return callback(null, _.assign({
         success: success,
         errors: errors
-      });
+      }, options.dryRun ? { dryRun: true, outcomes: outcomes } : {}, commitExports ? { commits: commits, commitErrors: commitErrors } : {}));
     });
 
     function getOriginal(callback) {
@@ -1777,7 +3836,16 @@ module.exports = function(self, options) {
         // Our own modifiable copy to safely pass to `resolveToDestination`
         resolvedOriginal = _.cloneDeep(original);
 
-        return async.series([ getDraft, resolveToDestination, applyPatch, update ], callback);
+        var steps = options.dryRun ? [ getDraft, resolveToDestination, preview ] : [ getDraft, beforeForceExport, resolveToDestination, applyPatch, update, commitDraft ];
+
+        return async.series(steps, function(err) {
+          if (self.isVeto(err)) {
+            // Skip this locale only
+            errors.push({ locale: self.liveify(locale), message: err.workflowVeto });
+            return callback(null);
+          }
+          return callback(err);
+        });
 
         function getDraft(callback) {
           return self.findDocs(req, { workflowGuid: resolvedOriginal.workflowGuid }, locale).toObject(function(err, _draft) {
@@ -1792,6 +3860,10 @@ module.exports = function(self, options) {
           });
         }
 
+        function beforeForceExport(callback) {
+          return self.emitLifecycleEvent('beforeForceExport', req, original, draft, callback);
+        }
+
         // Resolve relationship ids of resolved original to point to locale
         // we're patching
         function resolveToDestination(callback) {
@@ -1813,15 +3885,103 @@ module.exports = function(self, options) {
 
         }
 
+        // Describe what `applyPatch` would do: every property of the
+        // original replaces that of the draft
+        function preview(callback) {
+          self.deleteExcludedProperties(resolvedOriginal);
+          var before = _.pick(self.apos.utils.clonePermanent(draft), _.keys(resolvedOriginal));
+          outcomes[self.liveify(locale)] = self.mergeDocs(before, resolvedOriginal, _.cloneDeep(before));
+          success.push(self.liveify(locale));
+          return callback(null);
+        }
+
         function update(callback) {
           success.push(self.liveify(draft.workflowLocale));
-          return self.apos.docs.update(req, draft, callback);
+          return self.apos.docs.update(req, draft, function(err) {
+            if (!err) {
+              self.emitWebhook(req, 'force-export', draft, {});
+            }
+            return callback(err);
+          });
+        }
+
+        function commitDraft(callback) {
+          if (!commitExports) {
+            return callback(null);
+          }
+          return self.commitExported(req, draft, null, function(err, commitId, message) {
+            if (err) {
+              // As in `export`
+              self.apos.utils.error(err);
+              message = self.commitExportedMessages.error;
+            }
+            if (commitId) {
+              commits[self.liveify(locale)] = commitId;
+            } else {
+              commitErrors.push({ locale: self.liveify(locale), message: message });
+            }
+            return callback(null);
+          });
         }
 
       }, callback);
     }
   };
 
+  // Messages explaining why `commitExported` did not commit a draft, by
+  // reason. Override or extend to taste.
+
+  self.commitExportedMessages = {
+    conflicts: 'The export left conflicts to resolve first.',
+    forbidden: 'You may not commit in this locale.',
+    unapproved: 'It must be approved at every stage first.',
+    'four-eyes': 'Someone other than its last editor and its submitter must commit it.',
+    conflict: 'The live version changed since the draft was started.',
+    error: 'An error occurred while committing.'
+  };
+
+  // Commit `draft`, just updated by `export` or `forceExport`, in its own
+  // locale on behalf of `req`, with `message` if any. Only done if `req`
+  // may edit the live version of the doc in that locale, and if the draft
+  // has no merge conflicts left to resolve, see `recordMergeConflicts`.
+  // Otherwise everything `commitLatest` checks still applies, such as
+  // approval stages, the four-eyes policy and conflicts with the live doc.
+  //
+  // Delivers `(null, commitId)`, or `(null, null, message)` if the draft
+  // was not committed, where `message` says why, see
+  // `commitExportedMessages`. Other errors are passed on as usual.
+
+  self.commitExported = function(req, draft, message, callback) {
+    if ((draft.workflowConflicts || []).length) {
+      return callback(null, null, self.commitExportedMessages.conflicts);
+    }
+    var _req = _.clone(req);
+    _req.locale = draft.workflowLocale;
+    return self.findDocs(_req, { workflowGuid: draft.workflowGuid }, self.liveify(draft.workflowLocale)).toObject(function(err, live) {
+      if (err) {
+        return callback(err);
+      }
+      if (!(live && live._edit)) {
+        return callback(null, null, self.commitExportedMessages.forbidden);
+      }
+      return self.commitLatest(_req, draft._id, { message: message }, function(err, commitId) {
+        if ((err === 'unapproved') || (err === 'four-eyes')) {
+          return callback(null, null, self.commitExportedMessages[err]);
+        }
+        if (self.isConflict(err)) {
+          return callback(null, null, self.commitExportedMessages.conflict);
+        }
+        if (self.isVeto(err)) {
+          return callback(null, null, err.workflowVeto);
+        }
+        if (self.isInvalidCommit(err)) {
+          return callback(null, null, _.pluck(err.workflowProblems, 'message').join(' '));
+        }
+        return callback(err, commitId);
+      });
+    });
+  };
+
   // Given a locale and a workflowGuid, invoke the callback with
   // `(null, result)` where `result` is one of the following strings:
   //
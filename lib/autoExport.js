@@ -0,0 +1,49 @@
+var _ = require('@sailshq/lodash');
+
+module.exports = function(self, options) {
+
+  // Returns the names of the live locales to which a commit of `doc` is
+  // exported automatically, according to the `autoExport` policies of
+  // the locale of `doc`, see `composeLocales`.
+
+  self.getAutoExportLocales = function(doc) {
+    var policies = self.autoExportPolicies[self.liveify(doc.workflowLocale || '')] || [];
+    return _.uniq(_.flatten(_.map(_.filter(policies, function(policy) {
+      return (!policy.types) || _.includes(policy.types, doc.type);
+    }), 'locales')));
+  };
+
+  // Export the commit `commitId` to the locales given by
+  // `getAutoExportLocales`, if any, on behalf of `req`. This runs as an
+  // export job, see `startExportJob`, whose id is recorded as the
+  // `autoExportJobId` property of the commit. As with any export, the
+  // changes reach the drafts of those locales as submissions of the
+  // `exported` type, for their reviewers to approve and commit.
+  //
+  // The callback receives `(null, job)`, where `job` is null if there is
+  // nothing to export. Invoked by `commit`.
+
+  self.autoExport = function(req, commitId, callback) {
+    if (_.isEmpty(self.autoExportPolicies)) {
+      return callback(null, null);
+    }
+    return self.db.findOne({ _id: commitId }, function(err, commit) {
+      if (err) {
+        return callback(err);
+      }
+      var locales = commit ? self.getAutoExportLocales(commit.from) : [];
+      if (!locales.length) {
+        return callback(null, null);
+      }
+      return self.startExportJob(req, 'export', [ commitId ], locales, function(err, job) {
+        if (err) {
+          return callback(err);
+        }
+        return self.db.update({ _id: commitId }, { $set: { autoExportJobId: job._id } }, function(err) {
+          return callback(err, err ? null : job);
+        });
+      });
+    });
+  };
+
+};
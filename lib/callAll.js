@@ -4,7 +4,8 @@ var async = require('async');
 module.exports = function(self, options) {
   // Every time a doc is saved, check whether its type is included in
   // workflow. If so invoke `ensureWorkflowLocale` and
-  // `ensurePageSlugPrefix`.
+  // `ensurePageSlugPrefix`. Saving a draft also discards the approvals of
+  // its submission, see `invalidateApprovals`.
 
   self.docBeforeSave = function(req, doc, options) {
 
@@ -16,6 +17,12 @@ module.exports = function(self, options) {
 
     self.ensurePageSlugPrefix(doc);
 
+    self.recordLastEditor(req, doc);
+
+    self.invalidateApprovals(doc);
+
+    self.incrementLiveRevision(doc);
+
   };
 
   // Every time a doc is saved, check whether its type is included in workflow. If it is,
@@ -24,6 +31,9 @@ module.exports = function(self, options) {
   //
   // These newly created docs in other locales are initially trash so they
   // don't clutter reorganize as "unpublished."
+  //
+  // A draft saved for the first time also records the revision of its live
+  // doc, see `recordBaseRevision`.
 
   self.docAfterSave = function(req, doc, options, callback) {
     var missingLocales;
@@ -40,7 +50,8 @@ module.exports = function(self, options) {
     return async.series([
       findMissingLocales,
       insertInMissingLocales,
-      permissionsAcrossLocales
+      permissionsAcrossLocales,
+      recordBaseRevision
     ], function(err) {
       if (err) {
         self.apos.utils.error(err);
@@ -214,6 +225,10 @@ module.exports = function(self, options) {
         multi: true
       }, callback);
     }
+
+    function recordBaseRevision(callback) {
+      return self.recordBaseRevision(req, doc, callback);
+    }
   };
 
   self.pageBeforeSend = function(req, callback) {
@@ -275,6 +290,10 @@ module.exports = function(self, options) {
         req.browserCall('apos.modules["apostrophe-workflow"].enablePreviewIframe({ id: ? })', id);
       }
 
+      if (req.query.workflowCompare) {
+        return compare(callback);
+      }
+
       // If we're not reviewing an old commit, this is as far as
       // we need to go
 
@@ -332,6 +351,82 @@ module.exports = function(self, options) {
       }
 
     }
+
+    // Display the version `workflowCompareTo` of the doc `workflowCompare`
+    // in place of the doc, and highlight its differences with the version
+    // `workflowCompareFrom`, see `compareVersions`
+    function compare(callback) {
+      req.disableEditing = true;
+      var id = self.apos.launder.id(req.query.workflowCompare);
+      var from = self.apos.launder.id(req.query.workflowCompareFrom);
+      var to = self.apos.launder.id(req.query.workflowCompareTo);
+      var version, ids;
+      var contexts = [];
+      self.apos.templates.addBodyClass(req, 'apos-workflow-preview-page');
+      return async.series([
+        getVersion,
+        resolveRelationships,
+        substitute,
+        after
+      ], function(err) {
+        if (err) {
+          return callback(err);
+        }
+        req.browserCall('apos.modules["apostrophe-workflow"].enablePreviewIframe({ id: ?, from: ?, to: ? })', id, from, to);
+        return callback(null);
+      });
+
+      function getVersion(callback) {
+        return self.getVersion(req, id, to, function(err, _version, draft, live) {
+          if (err) {
+            return callback(err);
+          }
+          version = _version;
+          ids = [ draft._id, live._id ];
+          return callback(null);
+        });
+      }
+
+      function resolveRelationships(callback) {
+        return self.resolveRelationships(req, version, req.locale, callback);
+      }
+
+      // As for a review, modify instances of the doc in req.data in place,
+      // keeping their ids so the browser can find their areas
+      function substitute(callback) {
+        self.apos.docs.walk(req.data, function(o, k, v, dotPath) {
+          if (v && (typeof (v) === 'object') && _.includes(ids, v._id)) {
+            var _id = v._id;
+            _.each(_.keys(v), function(key) {
+              delete v[key];
+            });
+            _.assign(v, _.cloneDeep(version), { _id: _id });
+            contexts.push(v);
+          }
+        });
+        return callback(null);
+      }
+
+      function after(callback) {
+        return self.after(req, contexts, callback);
+      }
+    }
+  };
+
+  self.apostropheDestroy = function(callback) {
+    if (self.scheduledCommitsTimer) {
+      clearInterval(self.scheduledCommitsTimer);
+      self.scheduledCommitsTimer = null;
+    }
+    if (self.webhooksTimer) {
+      clearInterval(self.webhooksTimer);
+      self.webhooksTimer = null;
+    }
+    if (self.exportJobsTimer) {
+      clearInterval(self.exportJobsTimer);
+      self.exportJobsTimer = null;
+    }
+    return callback(null);
   };
 
   self.loginDeserialize = function(user) {
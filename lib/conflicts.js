@@ -0,0 +1,179 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // Every save of a live doc increments its `workflowRevision` counter.
+  // Invoked by `docBeforeSave`. Writes to the database that bypass
+  // `apos.docs.update`, such as `setPropertiesAcrossLocales`, increment it
+  // themselves.
+
+  self.incrementLiveRevision = function(doc) {
+    if ((!doc.workflowLocale) || doc.workflowLocale.match(/-draft$/)) {
+      return;
+    }
+    doc.workflowRevision = (doc.workflowRevision || 0) + 1;
+  };
+
+  // The `workflowBaseRevision` property of a draft is the `workflowRevision`
+  // of the live doc when the draft started diverging from it: when the
+  // draft was first saved, and again after each commit or rollback.
+  // Record it for the draft `doc` if it has none yet. Invoked by
+  // `docAfterSave`.
+
+  self.recordBaseRevision = function(req, doc, callback) {
+    if ((!doc.workflowLocale) || (!doc.workflowLocale.match(/-draft$/)) || (doc.workflowBaseRevision !== undefined)) {
+      return callback(null);
+    }
+    return self.apos.docs.db.findWithProjection({
+      workflowGuid: doc.workflowGuid,
+      workflowLocale: self.liveify(doc.workflowLocale)
+    }, { workflowRevision: 1 }).toArray(function(err, docs) {
+      if (err) {
+        return callback(err);
+      }
+      if (!docs[0]) {
+        return callback(null);
+      }
+      doc.workflowBaseRevision = docs[0].workflowRevision || 0;
+      return self.apos.docs.db.update({ _id: doc._id }, { $set: { workflowBaseRevision: doc.workflowBaseRevision } }, callback);
+    });
+  };
+
+  // After `commitId` made the draft `from` live as the live doc `to`, the
+  // two are in sync again: record the new revision of `to` as the base of
+  // the draft, and with the commit so that `getConflict` can find the live
+  // doc as it was at that revision.
+
+  self.resetBaseRevision = function(req, from, to, commitId, callback) {
+    from.workflowBaseRevision = to.workflowRevision || 0;
+    return async.series([
+      function(callback) {
+        return self.apos.docs.db.update({ _id: from._id }, { $set: { workflowBaseRevision: from.workflowBaseRevision } }, callback);
+      },
+      function(callback) {
+        return self.db.update({ _id: commitId }, { $set: { liveRevision: from.workflowBaseRevision } }, callback);
+      }
+    ], callback);
+  };
+
+  // Returns true if the live doc `live` changed since the draft `draft`
+  // started diverging from it, by any means other than committing or
+  // rolling back that draft, such as `setPropertiesAcrossLocales` or a
+  // save made while editing live content. Committing the draft would
+  // overwrite that change. Drafts saved before this was tracked have no
+  // base revision and never conflict.
+
+  self.hasConflict = function(draft, live) {
+    if (draft.workflowBaseRevision === undefined) {
+      return false;
+    }
+    return (live.workflowRevision || 0) !== draft.workflowBaseRevision;
+  };
+
+  // Deliver `(null, conflict)` to the callback, where `conflict` is null if
+  // `hasConflict` is false for `draft` and `live`. Otherwise it has
+  // `baseRevision`, `liveRevision` and `changes` properties. `changes` is
+  // an array in the format of `getFieldChanges`: `before` is the value in
+  // the live doc that committing would lose, `after` is the draft's value.
+  //
+  // If the commit that made the base revision is known, only fields the
+  // live doc changed since then are listed, and if committing would not
+  // lose any of those changes there is no conflict. Otherwise every field
+  // in which the draft differs from the live doc is listed.
+
+  self.getConflict = function(req, draft, live, callback) {
+    if (!self.hasConflict(draft, live)) {
+      return callback(null, null);
+    }
+    var base, changes, changedSinceBase;
+    return async.series([
+      getBase,
+      getChanges,
+      getChangedSinceBase
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      if (changedSinceBase) {
+        var names = _.pluck(changedSinceBase, 'name');
+        changes = _.filter(changes, function(change) {
+          return _.contains(names, change.name);
+        });
+        if (!changes.length) {
+          // Nothing would be lost, for instance because the draft has
+          // the same change
+          return callback(null, null);
+        }
+      }
+      return callback(null, {
+        baseRevision: draft.workflowBaseRevision,
+        liveRevision: live.workflowRevision || 0,
+        changes: changes
+      });
+    });
+
+    function getBase(callback) {
+      return self.db.findOne({
+        workflowGuid: live.workflowGuid,
+        locale: live.workflowLocale,
+        liveRevision: draft.workflowBaseRevision,
+        compensated: { $ne: true }
+      }, function(err, commit) {
+        base = commit && commit.from;
+        return callback(err);
+      });
+    }
+
+    function getChanges(callback) {
+      // Work on a copy, as relationships in the live version are resolved
+      // to the draft locale for comparison
+      return self.getFieldChanges(req, _.cloneDeep(live), draft, function(err, _changes) {
+        changes = _changes;
+        return callback(err);
+      });
+    }
+
+    function getChangedSinceBase(callback) {
+      if (!base) {
+        return callback(null);
+      }
+      return self.getModifiedFieldDetails(req, base, _.cloneDeep(live), function(err, modified) {
+        changedSinceBase = modified;
+        return callback(err);
+      });
+    }
+  };
+
+  // Deliver an error made by `conflictError` to the callback if committing
+  // `draft` would overwrite a change made to `live` since the draft started
+  // diverging from it, unless `overwrite` is true. Invoked by `commitLatest`.
+
+  self.checkConflict = function(req, draft, live, overwrite, callback) {
+    if (overwrite) {
+      return callback(null);
+    }
+    return self.getConflict(req, draft, live, function(err, conflict) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(conflict ? self.conflictError(conflict) : null);
+    });
+  };
+
+  // Returns an error reporting `conflict`, as delivered by `getConflict`.
+  // The conflict is its `workflowConflict` property.
+
+  self.conflictError = function(conflict) {
+    var err = new Error('The live document changed since this draft was started');
+    err.workflowConflict = conflict;
+    return err;
+  };
+
+  // Returns true if `err` was made by `conflictError`.
+
+  self.isConflict = function(err) {
+    return !!(err && err.workflowConflict);
+  };
+
+};
@@ -0,0 +1,378 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // The ids of the export jobs this process is running, as keys. The lock
+  // taken by `runExportJob` keeps other processes away, but apostrophe
+  // reports locking twice from the same process as an error.
+
+  self.runningExportJobs = {};
+
+  // Create the mongodb collection in which batch export jobs record their
+  // progress for each doc and locale, so that they survive a restart.
+
+  self.enableExportJobsCollection = function(callback) {
+    self.exportJobsDb = self.apos.db.collection('aposWorkflowExportJobs');
+    var indexes = [
+      {
+        status: 1
+      },
+      {
+        createdAt: -1
+      }
+    ];
+    return async.eachSeries(indexes, function(index, callback) {
+      return self.exportJobsDb.ensureIndex(index, callback);
+    }, callback);
+  };
+
+  // Record a batch export job, without running it. `verb` is `export`, in
+  // which case `ids` are commit ids, or `force-export`, in which case they
+  // are doc ids. The job has an item for each pair of id and locale in
+  // `locales`, with a `status` of `pending`, `done`, `error` (see
+  // `message`), `skipped` (nothing to export, for instance to the locale
+  // the change came from) or `canceled`. The `outcomes` of an item are
+  // those of `export`, if any. The job itself has a `status` of `running`,
+  // `canceling`, `canceled`, `completed` or `failed`.
+  //
+  // If `options.commit` is true, each draft exported to is also committed,
+  // see the `commit` option of `export`. The item then has a `commitId`,
+  // or a `commitMessage` saying why the draft was not committed.
+  // `options` may be omitted.
+  //
+  // `ids` and `locales` are sanitized, so it is safe to pass user input
+  // directly. The callback receives `(null, job)`.
+
+  self.createExportJob = function(req, verb, ids, locales, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    if (!req.user) {
+      // Confusion to the enemy
+      return callback('error');
+    }
+    ids = self.apos.launder.ids(ids);
+    locales = _.filter(Array.isArray(locales) ? locales : [], function(locale) {
+      return ((typeof (locale) === 'string') && (_.has(self.locales, locale)));
+    });
+    var job = {
+      _id: self.apos.utils.generateId(),
+      verb: (verb === 'force-export') ? 'force-export' : 'export',
+      userId: req.user._id,
+      locale: req.locale,
+      status: 'running',
+      commit: !!options.commit,
+      items: _.flatten(_.map(ids, function(id) {
+        return _.map(locales, function(locale) {
+          return {
+            id: id,
+            locale: self.liveify(locale),
+            status: 'pending'
+          };
+        });
+      })),
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    return self.exportJobsDb.insert(job, function(err) {
+      return callback(err, err ? null : job);
+    });
+  };
+
+  // Create a batch export job with `createExportJob` and deliver it to the
+  // callback right away, then run it in the background on behalf of `req`
+  // with `runExportJob`. `options` may be omitted.
+
+  self.startExportJob = function(req, verb, ids, locales, options, callback) {
+    if (!callback) {
+      callback = options;
+      options = {};
+    }
+    return self.createExportJob(req, verb, ids, locales, options, function(err, job) {
+      if (err) {
+        return callback(err);
+      }
+      callback(null, job);
+      return self.runExportJob(job._id, req, function(err) {
+        if (err) {
+          self.apos.utils.error('Export job ' + job._id + ' failed:', err);
+        }
+      });
+    });
+  };
+
+  // Carry out the pending items of the export job `jobId`, one doc and
+  // locale at a time, recording each outcome as soon as it is known so
+  // that the job can resume there. Between items, a job being canceled
+  // is noticed and its remaining items are canceled.
+  //
+  // If `req` is null, as when resuming after a restart, the user who
+  // started the job is loaded again with their permissions. Does nothing
+  // if this or another process is already running the job.
+
+  self.runExportJob = function(jobId, req, callback) {
+    var name = 'apostrophe-workflow-export-job-' + jobId;
+    var job;
+    if (self.runningExportJobs[jobId]) {
+      return callback(null);
+    }
+    self.runningExportJobs[jobId] = true;
+    return self.apos.locks.lock(name, { wait: false }, function(err) {
+      if (err) {
+        delete self.runningExportJobs[jobId];
+        return callback((err === 'locked') ? null : err);
+      }
+      return async.series([
+        getJob,
+        getReq,
+        run,
+        end
+      ], function(err) {
+        return self.apos.locks.unlock(name, function(_err) {
+          delete self.runningExportJobs[jobId];
+          if (err === 'ended') {
+            return callback(_err || null);
+          }
+          return callback(err || _err);
+        });
+      });
+    });
+
+    function getJob(callback) {
+      return self.exportJobsDb.findOne({ _id: jobId }, function(err, _job) {
+        if (err) {
+          return callback(err);
+        }
+        if (!(_job && _.includes([ 'running', 'canceling' ], _job.status))) {
+          return callback('ended');
+        }
+        job = _job;
+        return callback(null);
+      });
+    }
+
+    function getReq(callback) {
+      if (req) {
+        return callback(null);
+      }
+      return self.apos.login.deserializeUser(job.userId, function(err, user) {
+        if (err) {
+          return callback(err);
+        }
+        if (!user) {
+          return self.exportJobsDb.update({ _id: job._id }, { $set: { status: 'failed', message: 'user not found', updatedAt: new Date() } }, function(err) {
+            return callback(err || 'ended');
+          });
+        }
+        req = self.apos.tasks.getReq({ user: user, locale: job.locale });
+        return callback(null);
+      });
+    }
+
+    function run(callback) {
+      return async.eachSeries(_.range(job.items.length), function(i, callback) {
+        if (job.items[i].status !== 'pending') {
+          return callback(null);
+        }
+        return self.exportJobsDb.findWithProjection({ _id: job._id }, { status: 1 }).toArray(function(err, current) {
+          if (err) {
+            return callback(err);
+          }
+          if ((!current[0]) || (current[0].status !== 'running')) {
+            // Stop here, see `end`
+            return callback('stopped');
+          }
+          return self.runExportJobItem(req, job, i, callback);
+        });
+      }, function(err) {
+        if (err === 'stopped') {
+          return callback(null);
+        }
+        return callback(err);
+      });
+    }
+
+    function end(callback) {
+      return self.exportJobsDb.findOne({ _id: job._id }, function(err, current) {
+        if (err) {
+          return callback(err);
+        }
+        if (!current) {
+          return callback(null);
+        }
+        var $set = {
+          updatedAt: new Date(),
+          endedAt: new Date()
+        };
+        if (current.status === 'canceling') {
+          $set.status = 'canceled';
+          $set.items = _.map(current.items, function(item) {
+            return (item.status === 'pending') ? _.assign({}, item, { status: 'canceled' }) : item;
+          });
+        } else {
+          $set.status = 'completed';
+        }
+        return self.exportJobsDb.update({ _id: job._id }, { $set: $set }, callback);
+      });
+    }
+  };
+
+  // Export one item of `job`, the item at `index`, and record its outcome.
+  // Failing to export is recorded as the item's status, not passed to the
+  // callback.
+
+  self.runExportJobItem = function(req, job, index, callback) {
+    var item = job.items[index];
+    var method = (job.verb === 'force-export') ? self.forceExport : self.export;
+    return method(req, item.id, [ item.locale ], { commit: job.commit }, function(err, result) {
+      var prefix = 'items.' + index + '.';
+      var $set = {
+        updatedAt: new Date()
+      };
+      if (err) {
+        item.status = 'error';
+        item.message = err.toString();
+      } else if (_.includes(result.success, item.locale)) {
+        item.status = 'done';
+        if (result.outcomes && result.outcomes[item.locale]) {
+          item.outcomes = result.outcomes[item.locale];
+        }
+        if (result.commits && result.commits[item.locale]) {
+          item.commitId = result.commits[item.locale];
+        } else if (result.commitErrors && result.commitErrors.length) {
+          item.commitMessage = result.commitErrors[0].message;
+        }
+      } else if (result.errors.length) {
+        item.status = 'error';
+        item.message = result.errors[0].message;
+      } else {
+        item.status = 'skipped';
+      }
+      _.each([ 'status', 'message', 'outcomes', 'commitId', 'commitMessage' ], function(property) {
+        if (_.has(item, property)) {
+          $set[prefix + property] = item[property];
+        }
+      });
+      return self.exportJobsDb.update({ _id: job._id }, { $set: $set }, callback);
+    });
+  };
+
+  // Ask the export job `jobId` to stop after the item in progress. Its
+  // remaining items are then canceled. Only the user who started the job
+  // or an admin may cancel it. Items already exported stay exported.
+
+  self.cancelExportJob = function(req, jobId, callback) {
+    return self.findExportJob(req, jobId, function(err, job) {
+      if (err) {
+        return callback(err);
+      }
+      return self.exportJobsDb.update({ _id: job._id, status: 'running' }, { $set: { status: 'canceling', updatedAt: new Date() } }, callback);
+    });
+  };
+
+  // Deliver the export job `jobId` to the callback if `req` may see it:
+  // only the user who started the job or an admin may. Otherwise the
+  // error is `notfound`.
+
+  self.findExportJob = function(req, jobId, callback) {
+    if (!req.user) {
+      return callback('notfound');
+    }
+    return self.exportJobsDb.findOne({ _id: self.apos.launder.id(jobId) }, function(err, job) {
+      if (err) {
+        return callback(err);
+      }
+      if (!(job && ((job.userId === req.user._id) || self.apos.permissions.can(req, 'admin')))) {
+        return callback('notfound');
+      }
+      return callback(null, job);
+    });
+  };
+
+  // Returns the results of the export job `job` so far, in the format of
+  // a batch job: an object with a property for each id, whose value is in
+  // the format of the result of `export`, with `success`, `errors` and
+  // `outcomes` properties, plus `commits` and `commitErrors` if the job
+  // commits what it exports.
+
+  self.getExportJobResults = function(job) {
+    var results = {};
+    _.each(job.items, function(item) {
+      var result = results[item.id] = results[item.id] || _.assign({ success: [], errors: [], outcomes: {} }, job.commit ? { commits: {}, commitErrors: [] } : {});
+      if (item.status === 'done') {
+        result.success.push(item.locale);
+        if (item.outcomes) {
+          result.outcomes[item.locale] = item.outcomes;
+        }
+        if (item.commitId) {
+          result.commits[item.locale] = item.commitId;
+        } else if (item.commitMessage) {
+          result.commitErrors.push({ locale: item.locale, message: item.commitMessage });
+        }
+      } else if (item.status === 'error') {
+        result.errors.push({ locale: item.locale, message: item.message });
+      }
+    });
+    return results;
+  };
+
+  // Returns the progress of the export job `job` for display: an object
+  // with `total`, `processed` and `percentage` properties and a `locales`
+  // array with, for each locale, its `name` and the number of items in
+  // each status, such as `done` and `pending`.
+
+  self.getExportJobProgress = function(job) {
+    var processed = _.filter(job.items, function(item) {
+      return item.status !== 'pending';
+    }).length;
+    var total = job.items.length;
+    return {
+      total: total,
+      processed: processed,
+      percentage: total ? Math.floor(processed * 100 / total) : 100,
+      locales: _.map(_.groupBy(job.items, 'locale'), function(items, locale) {
+        return _.assign({ name: locale }, _.countBy(items, 'status'));
+      })
+    };
+  };
+
+  // Resume every export job that is running or being canceled but that
+  // no process is working on, for instance after a restart or a deploy.
+
+  self.resumeExportJobs = function(callback) {
+    return self.exportJobsDb.findWithProjection({ status: { $in: [ 'running', 'canceling' ] } }, { _id: 1 }).sort({ createdAt: 1 }).toArray(function(err, jobs) {
+      if (err) {
+        return callback(err);
+      }
+      return async.eachSeries(jobs, function(job, callback) {
+        return self.runExportJob(job._id, null, function(err) {
+          if (err) {
+            self.apos.utils.error('Export job ' + job._id + ' failed:', err);
+          }
+          return callback(null);
+        });
+      }, callback);
+    });
+  };
+
+  // Every `exportJobsInterval` seconds (default 60), resume the export
+  // jobs left behind by a process that stopped. Not started for command
+  // line tasks.
+
+  self.enableExportJobsTimer = function() {
+    if (self.apos.argv._.length) {
+      // Running a command line task
+      return;
+    }
+    self.exportJobsTimer = setInterval(function() {
+      return self.resumeExportJobs(function(err) {
+        if (err) {
+          self.apos.utils.error(err);
+        }
+      });
+    }, (self.options.exportJobsInterval || 60) * 1000);
+  };
+
+};
@@ -6,7 +6,7 @@ module.exports = function(self, options) {
       localizations: function() {
         var localizations = [];
         _.each((self.apos.templates.contextReq.data.workflow && self.apos.templates.contextReq.data.workflow.localizations) || [], function(localization, locale) {
-          if (!self.locales[locale].private) {
+          if ((!self.locales[locale].private) && self.isWithinPublicationWindow(localization)) {
             localizations.push(localization);
           }
         });
@@ -35,6 +35,8 @@ module.exports = function(self, options) {
 
     recordAncestors(self.nestedLocales, []);
 
+    recordAutoExport();
+
     // If there is no locale hierarchy, infer that the default locale is the master,
     // or the first locale if there is no default. This is a bc gesture, master
     // locales are a best practice
@@ -75,6 +77,36 @@ module.exports = function(self, options) {
       self.locales = newLocales;
     }
 
+    // A locale may have an `autoExport` option: `true` to export every
+    // commit made there to all of its descendants, or a policy object with
+    // optional `locales` (descendants to export to, by default all of them)
+    // and `types` (doc types concerned, by default all of them), or an
+    // array of policies. They are recorded in `self.autoExportPolicies`,
+    // by locale name. See `autoExport`
+    function recordAutoExport() {
+      self.autoExportPolicies = {};
+      _.each(self.locales, function(locale, name) {
+        if (name.match(/-draft$/) || (!locale.autoExport)) {
+          return;
+        }
+        var descendants = _.filter(_.keys(self.locales), function(other) {
+          return (!other.match(/-draft$/)) && _.includes(self.locales[other].ancestors, name);
+        });
+        var policies = (locale.autoExport === true) ? [ {} ] : (Array.isArray(locale.autoExport) ? locale.autoExport : [ locale.autoExport ]);
+        self.autoExportPolicies[name] = _.map(policies, function(policy) {
+          _.each(policy.locales || [], function(target) {
+            if (!_.includes(descendants, target)) {
+              throw new Error('The autoExport option of the ' + name + ' locale names ' + target + ', which is not one of its descendants');
+            }
+          });
+          return {
+            locales: policy.locales || descendants,
+            types: policy.types || null
+          };
+        });
+      });
+    }
+
     function recordAncestors(locales, ancestors) {
       _.each(locales, function(locale) {
         var newAncestors;
@@ -224,6 +256,24 @@ module.exports = function(self, options) {
     }
   };
 
+  // Remember who made the latest edit to a draft as its
+  // `workflowLastEditedBy` property, for the benefit of the
+  // `fourEyes` option. Edits made by tasks are not recorded.
+
+  self.recordLastEditor = function(req, doc) {
+    if (!(doc.workflowLocale && doc.workflowLocale.match(/-draft$/))) {
+      return;
+    }
+    if (!(req.user && req.user.username)) {
+      return;
+    }
+    doc.workflowLastEditedBy = {
+      _id: req.user._id,
+      username: req.user.username,
+      name: req.user.title
+    };
+  };
+
   // Adjust the slug of a page to take the prefix into account.
   // The UI and/or `pages.newChild` should have done this already, this
   // is a failsafe invoked by `docBeforeSave` and also in tasks.
@@ -363,6 +413,8 @@ module.exports = function(self, options) {
     }
     self.apos.adminBar.add(self.__meta.name + '-manage-modal', self.localized ? 'Submissions' : 'Workflow');
     items.push(self.__meta.name + '-manage-modal');
+    self.apos.adminBar.add(self.__meta.name + '-my-submissions-modal', 'My Submissions');
+    items.push(self.__meta.name + '-my-submissions-modal');
     self.apos.adminBar.group({
       label: 'Workflow',
       items: items
@@ -375,6 +427,8 @@ module.exports = function(self, options) {
       slug: 1,
       path: 1,
       workflowLocale: 1,
+      workflowEmbargoUntil: 1,
+      workflowUnpublishAt: 1,
       tags: 1,
       type: 1
     };
@@ -390,6 +444,10 @@ module.exports = function(self, options) {
       return self.apos.docs.db.ensureIndex({ workflowGuid: 1 }, {});
     })
       .then(workflowGuidWorkflowLocale)
+      .then(function() {
+        // Scanned frequently by `runScheduledCommits`
+        return self.apos.docs.db.ensureIndex({ 'workflowScheduledCommit.publishAt': 1 }, { sparse: true });
+      })
     // depromisify
       .then(function() {
         return callback(null);
@@ -570,6 +628,9 @@ module.exports = function(self, options) {
       },
       {
         workflowGuid: 1
+      },
+      {
+        changesetId: 1
       }
     ];
     return async.eachSeries(indexes, function(index, callback) {
@@ -577,6 +638,27 @@ module.exports = function(self, options) {
     }, callback);
   };
 
+  // Create the mongodb collection in which the audit trail of review
+  // decisions, such as rejections, is kept. See `insertAuditEntry`.
+
+  self.enableAuditCollection = function(callback) {
+    self.auditDb = self.apos.db.collection('aposWorkflowAudit');
+    var indexes = [
+      {
+        createdAt: -1
+      },
+      {
+        workflowGuid: 1
+      },
+      {
+        'submitted.username': 1
+      }
+    ];
+    return async.eachSeries(indexes, function(index, callback) {
+      return self.auditDb.ensureIndex(index, callback);
+    }, callback);
+  };
+
   // Given a dot path like a.b.c, return a.b
   self.getStem = function(dotPath) {
     var stem = dotPath.split(/\./);
@@ -644,6 +726,29 @@ module.exports = function(self, options) {
     }
   };
 
+  // If the `scheduledCommitsInterval` option is set (in seconds), run
+  // `runScheduledCommits` at that interval for as long as this process
+  // is up. Not started for command line tasks. Projects with many
+  // processes may prefer to leave this off and run the
+  // `apostrophe-workflow:run-scheduled` task via cron instead.
+
+  self.enableScheduledCommitsTimer = function() {
+    if (!self.options.scheduledCommitsInterval) {
+      return;
+    }
+    if (self.apos.argv._.length) {
+      // Running a command line task
+      return;
+    }
+    self.scheduledCommitsTimer = setInterval(function() {
+      return self.runScheduledCommits(function(err) {
+        if (err) {
+          self.apos.utils.error(err);
+        }
+      });
+    }, self.options.scheduledCommitsInterval * 1000);
+  };
+
   self.refineOptimizeKey = function() {
     // Make sure locales have their own optimizable query lists if apostrophe-optimizer is in use
     self.apos.on('optimizeKey', function(req) {
@@ -0,0 +1,544 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // Three-way merge used by `export`. `base` is the live doc before a
+  // commit (the commit's `to`), `ours` is the draft that was committed (the
+  // commit's `from`) and `theirs` is the draft of another locale, which is
+  // modified in place. Excluded properties must already be purged from
+  // `base` and `ours`, and relationships of all three must point to the
+  // same locale.
+  //
+  // Areas and array fields are merged item by item, and the order of their
+  // items is merged too. A widget or array item both sides changed is merged
+  // property by property, recursing into its own areas and array fields.
+  // Any other property is merged as a whole. Only what the commit changed
+  // is considered. Returns an array of outcomes, one per changed property,
+  // widget, array item or order of items, with `name` (the top-level
+  // property), `path` (see `getMergePathValue`), `label`, `outcome` and,
+  // for widgets and array items, `widgetId`, `widgetType` (`item` for
+  // array items) and `change` (`added`, `removed` or `modified`)
+  // properties, or `order: true` for the order of an area or array field.
+  // `outcome` is:
+  //
+  // * `applied`: `theirs` still had the value of `base`, so it received
+  // the value of `ours`.
+  // * `identical`: `theirs` already had the value of `ours`.
+  // * `conflict`: `theirs` was changed in another way, so it was left
+  // alone. For widgets the outcome also has an `after` property, the id
+  // of the widget preceding it in `ours`, if any, and a `missing: true`
+  // property if `theirs` no longer has the widget at all.
+
+  self.mergeDocs = function(base, ours, theirs) {
+    var manager = self.apos.docs.getManager(ours.type);
+    var outcomes = [];
+    mergeObject(base, ours, theirs, [], (manager && manager.schema) || [], null);
+    return outcomes;
+
+    // Merge the properties of a doc, widget or array item
+
+    function mergeObject(base, ours, theirs, path, schema, parentLabel) {
+      _.each(_.uniq(_.keys(base).concat(_.keys(ours))), function(name) {
+        var field = self.findSchemaField(schema, name);
+        var label = (field && field.label) || name;
+        if (parentLabel) {
+          label = parentLabel + ' › ' + label;
+        }
+        if (isArea(base[name]) || isArea(ours[name])) {
+          if (!isArea(theirs[name])) {
+            theirs[name] = { type: 'area', items: [] };
+          }
+          theirs[name].items = theirs[name].items || [];
+          return mergeItems(self.getMergeItems(base[name]) || [], self.getMergeItems(ours[name]) || [], theirs[name].items, path.concat([ name ]), label, field);
+        }
+        if (isItems(base[name]) && isItems(ours[name]) && isItems(theirs[name])) {
+          return mergeItems(base[name], ours[name], theirs[name], path.concat([ name ]), label, field);
+        }
+        if (self.isSameForMerge(base[name], ours[name])) {
+          return;
+        }
+        var outcome = { name: path.length ? path[0] : name, path: path.concat([ name ]), label: label };
+        if (self.isSameForMerge(theirs[name], ours[name])) {
+          outcome.outcome = 'identical';
+        } else if (self.isSameForMerge(theirs[name], base[name])) {
+          if (ours[name] === undefined) {
+            delete theirs[name];
+          } else {
+            theirs[name] = _.cloneDeep(ours[name]);
+          }
+          outcome.outcome = 'applied';
+        } else {
+          outcome.outcome = 'conflict';
+        }
+        outcomes.push(outcome);
+      });
+    }
+
+    // Merge the widgets of an area or the items of an array field. The
+    // array `theirsItems` is modified in place
+
+    function mergeItems(baseItems, oursItems, theirsItems, path, label, field) {
+      var baseById = _.indexBy(baseItems, '_id');
+      var oursById = _.indexBy(oursItems, '_id');
+
+      // Removed by the commit
+      _.each(baseItems, function(widget) {
+        if (_.has(oursById, widget._id)) {
+          return;
+        }
+        var index = _.findIndex(theirsItems, { _id: widget._id });
+        if (index === -1) {
+          return push(widget, 'removed', 'identical');
+        }
+        if (self.isSameForMerge(theirsItems[index], widget)) {
+          theirsItems.splice(index, 1);
+          return push(widget, 'removed', 'applied');
+        }
+        return push(widget, 'removed', 'conflict');
+      });
+
+      // Added or modified by the commit
+      _.each(oursItems, function(widget, i) {
+        var baseWidget = baseById[widget._id];
+        if (baseWidget && self.isSameForMerge(baseWidget, widget)) {
+          return;
+        }
+        var change = baseWidget ? 'modified' : 'added';
+        var after = i ? oursItems[i - 1]._id : null;
+        var index = _.findIndex(theirsItems, { _id: widget._id });
+        if (index !== -1) {
+          if (self.isSameForMerge(theirsItems[index], widget)) {
+            return push(widget, change, 'identical');
+          }
+          if (baseWidget && self.isSameForMerge(theirsItems[index], baseWidget)) {
+            theirsItems[index] = _.cloneDeep(widget);
+            return push(widget, change, 'applied');
+          }
+          if (baseWidget) {
+            // Both sides changed the widget, so only properties both
+            // changed conflict
+            return mergeObject(baseWidget, widget, theirsItems[index], path.concat([ widget._id ]), self.getMergeItemSchema(field, widget), label + ' › ' + getType(widget));
+          }
+          return push(widget, change, 'conflict', after);
+        }
+        if (baseWidget) {
+          // Modified by the commit but removed in their locale
+          return push(widget, change, 'conflict', after, true);
+        }
+        self.insertWidgetAfter(theirsItems, _.cloneDeep(widget), _.pluck(oursItems.slice(0, i), '_id'));
+        return push(widget, change, 'applied');
+      });
+
+      // Order of the widgets all three have in common
+      var common = _.filter(_.pluck(oursItems, '_id'), function(id) {
+        return _.has(baseById, id) && _.find(theirsItems, { _id: id });
+      });
+      var baseOrder = _.filter(_.pluck(baseItems, '_id'), function(id) {
+        return _.contains(common, id);
+      });
+      if (_.isEqual(baseOrder, common)) {
+        return;
+      }
+      var theirsOrder = _.filter(_.pluck(theirsItems, '_id'), function(id) {
+        return _.contains(common, id);
+      });
+      var outcome = { name: path[0], path: path, label: label, order: true };
+      if (_.isEqual(theirsOrder, common)) {
+        outcome.outcome = 'identical';
+      } else if (_.isEqual(theirsOrder, baseOrder)) {
+        self.reorderWidgets(theirsItems, common);
+        outcome.outcome = 'applied';
+      } else {
+        outcome.outcome = 'conflict';
+      }
+      outcomes.push(outcome);
+
+      function push(widget, change, result, after, missing) {
+        var outcome = {
+          name: path[0],
+          path: path.concat([ widget._id ]),
+          label: label,
+          widgetId: widget._id,
+          widgetType: getType(widget),
+          change: change,
+          outcome: result
+        };
+        if (result === 'conflict') {
+          outcome.after = after || null;
+        }
+        if (missing) {
+          outcome.missing = true;
+        }
+        outcomes.push(outcome);
+      }
+    }
+
+    function getType(widget) {
+      return widget.type || 'item';
+    }
+
+    function isArea(value) {
+      return value && (value.type === 'area');
+    }
+
+    // An array whose elements all have ids, such as an array field
+    function isItems(value) {
+      return Array.isArray(value) && _.every(value, function(item) {
+        return item && item._id;
+      });
+    }
+  };
+
+  // Returns the schema field named `name` in `schema`. The id properties of
+  // joins are found as the join.
+
+  self.findSchemaField = function(schema, name) {
+    return _.find(schema, function(field) {
+      return (field.name === name) || (field.idField === name) || (field.idsField === name);
+    });
+  };
+
+  // Returns the schema of `item`, an item of the array field `field` or,
+  // if `field` is not an array field, a widget.
+
+  self.getMergeItemSchema = function(field, item) {
+    if (field && (field.type === 'array')) {
+      return field.schema || [];
+    }
+    var manager = self.apos.areas.getWidgetManager(item.type);
+    return (manager && manager.schema) || [];
+  };
+
+  // Returns the widgets of `value` if it is an area, `value` itself if it
+  // is an array, or null.
+
+  self.getMergeItems = function(value) {
+    if (value && (value.type === 'area')) {
+      return value.items || [];
+    }
+    return Array.isArray(value) ? value : null;
+  };
+
+  // Returns the value of `doc` at `path`, an array as found in the outcomes
+  // of `mergeDocs`. Each step is a property name, except that the step
+  // after an area or array field is the id of one of its widgets or items.
+  // Returns undefined if there is no such value.
+
+  self.getMergePathValue = function(doc, path) {
+    return _.reduce(path, function(value, step) {
+      var items = self.getMergeItems(value);
+      if (items) {
+        return _.find(items, { _id: step });
+      }
+      return (value && ((typeof value) === 'object')) ? value[step] : undefined;
+    }, doc);
+  };
+
+  // Returns the path of `conflict`, an outcome of `mergeDocs`. Conflicts
+  // recorded before outcomes had paths only concern top-level properties
+  // and their widgets.
+
+  self.getMergePath = function(conflict) {
+    return conflict.path || _.compact([ conflict.name, conflict.widgetId ]);
+  };
+
+  // Returns the schema field of the value of `doc` at `path`, see
+  // `getMergePathValue`, or undefined for a widget, an array item or a
+  // property without a field.
+
+  self.getMergeField = function(doc, path) {
+    var manager = self.apos.docs.getManager(doc.type);
+    var schema = (manager && manager.schema) || [];
+    var value = doc;
+    var field;
+    _.each(path, function(step) {
+      var items = self.getMergeItems(value);
+      if (items) {
+        value = _.find(items, { _id: step });
+        schema = value ? self.getMergeItemSchema(field, value) : [];
+        field = undefined;
+        return;
+      }
+      field = self.findSchemaField(schema, step);
+      value = (value && ((typeof value) === 'object')) ? value[step] : undefined;
+    });
+    return field;
+  };
+
+  // Summarize the outcomes of `mergeDocs` for display, as an object with
+  // arrays of labels: `added`, `removed`, `modified` and `moved` for
+  // widgets that would change, `fields` for other properties that would
+  // change, `missing` for widgets the target no longer has and `conflicts`
+  // for anything else that would not apply. `identical` is the number of
+  // outcomes with nothing to do.
+
+  self.describeMergeOutcomes = function(outcomes) {
+    var description = {
+      added: [],
+      removed: [],
+      modified: [],
+      moved: [],
+      fields: [],
+      missing: [],
+      conflicts: [],
+      identical: 0
+    };
+    _.each(outcomes, function(outcome) {
+      var label = outcome.widgetId ? (outcome.label + ' › ' + outcome.widgetType) : outcome.label;
+      if (outcome.outcome === 'identical') {
+        description.identical++;
+      } else if ((outcome.outcome === 'conflict') && outcome.missing) {
+        description.missing.push(label);
+      } else if (outcome.outcome === 'conflict') {
+        description.conflicts.push(outcome.order ? (label + ' › order') : label);
+      } else if (outcome.order) {
+        description.moved.push(label);
+      } else if (outcome.widgetId) {
+        description[outcome.change].push(label);
+      } else {
+        description.fields.push(label);
+      }
+    });
+    return description;
+  };
+
+  // Returns true if `a` and `b` are the same for the purposes of
+  // `mergeDocs`. Temporary properties, such as loaded joins, are ignored.
+
+  self.isSameForMerge = function(a, b) {
+    return _.isEqual(permanent(a), permanent(b));
+    function permanent(value) {
+      return (value && ((typeof value) === 'object')) ? self.apos.utils.clonePermanent(value) : value;
+    }
+  };
+
+  // Insert `widget` into the array `items` just after the last widget
+  // of `afterIds` present there, or at the beginning if there is none.
+
+  self.insertWidgetAfter = function(items, widget, afterIds) {
+    var index = -1;
+    _.each(afterIds, function(id) {
+      var i = _.findIndex(items, { _id: id });
+      if (i !== -1) {
+        index = i;
+      }
+    });
+    items.splice(index + 1, 0, widget);
+  };
+
+  // Put the widgets of `items` whose ids appear in `order` in that order,
+  // in the positions those widgets already occupy. Other widgets stay
+  // where they are.
+
+  self.reorderWidgets = function(items, order) {
+    var positions = [];
+    var byId = {};
+    _.each(items, function(widget, i) {
+      if (_.contains(order, widget._id)) {
+        positions.push(i);
+        byId[widget._id] = widget;
+      }
+    });
+    var ids = _.filter(order, function(id) {
+      return _.has(byId, id);
+    });
+    _.each(positions, function(position, i) {
+      items[position] = byId[ids[i]];
+    });
+  };
+
+  // Record the conflicts among `outcomes`, as returned by `mergeDocs`
+  // for the export of `commit`, in the `workflowConflicts` array property
+  // of `draft`, replacing any earlier conflict for the same path and
+  // kind, see `mergeDocs`. Does not save `draft`.
+  //
+  // Each conflict has the properties of its outcome plus `_id`,
+  // `commitId`, `locale` (the locale the commit came from), `createdAt`,
+  // and `base` and `ours`: the values from `base` and `ours`, whose
+  // relationships must point to the locale of `draft`. For a widget the
+  // value is the widget, or null if it was removed. For the order of an
+  // area it is an array of widget ids.
+
+  self.recordMergeConflicts = function(draft, commit, outcomes, base, ours) {
+    var conflicts = _.filter(outcomes, { outcome: 'conflict' });
+    if (!conflicts.length) {
+      return;
+    }
+    draft.workflowConflicts = _.filter(draft.workflowConflicts || [], function(existing) {
+      return !_.find(conflicts, function(conflict) {
+        return _.isEqual(self.getMergePath(conflict), self.getMergePath(existing)) && (!!conflict.order === !!existing.order);
+      });
+    }).concat(_.map(conflicts, function(conflict) {
+      return _.assign({
+        _id: self.apos.utils.generateId(),
+        commitId: commit._id,
+        locale: self.liveify(commit.from.workflowLocale),
+        createdAt: new Date(),
+        base: self.getMergeValue(base, conflict),
+        ours: self.getMergeValue(ours, conflict)
+      }, _.omit(conflict, 'outcome'));
+    }));
+  };
+
+  // Returns the value of `doc` concerned by `conflict`, an outcome of
+  // `mergeDocs`. See `recordMergeConflicts`.
+
+  self.getMergeValue = function(doc, conflict) {
+    var value = self.getMergePathValue(doc, self.getMergePath(conflict));
+    if (conflict.order) {
+      return _.pluck(self.getMergeItems(value) || [], '_id');
+    }
+    if (conflict.widgetId) {
+      return value || null;
+    }
+    return value;
+  };
+
+  // Resolve the conflict `conflictId` recorded on the draft `id` by
+  // `export`. If `choice` is `ours` the exported value replaces the value
+  // of the draft, see `applyMergeConflict`; if it is `theirs` the draft
+  // keeps its own value. Either way the conflict is removed and the draft
+  // is saved. The callback receives `(null, draft)`.
+
+  self.resolveMergeConflict = function(req, id, conflictId, choice, callback) {
+    var draft;
+    return async.series([
+      getDraft,
+      resolve
+    ], function(err) {
+      return callback(err, draft);
+    });
+
+    function getDraft(callback) {
+      return self.findDocs(req, { _id: self.apos.launder.id(id) }).toObject(function(err, _draft) {
+        if (err) {
+          return callback(err);
+        }
+        if (!(_draft && _draft._edit && _draft.workflowLocale && _draft.workflowLocale.match(/-draft$/))) {
+          return callback('notfound');
+        }
+        draft = _draft;
+        return callback(null);
+      });
+    }
+
+    function resolve(callback) {
+      var conflict = _.find(draft.workflowConflicts || [], { _id: conflictId });
+      if (!conflict) {
+        return callback('notfound');
+      }
+      if (choice === 'ours') {
+        self.applyMergeConflict(draft, conflict);
+      } else if (choice !== 'theirs') {
+        return callback('invalid');
+      }
+      draft.workflowConflicts = _.without(draft.workflowConflicts, conflict);
+      return self.apos.docs.update(req, draft, callback);
+    }
+  };
+
+  // Give `doc` the exported value recorded in `conflict`, see
+  // `recordMergeConflicts`. Nothing is done if `doc` no longer has the
+  // widget or array item containing the value. Does not save `doc`.
+
+  self.applyMergeConflict = function(doc, conflict) {
+    var path = self.getMergePath(conflict);
+    var items;
+    if (conflict.order) {
+      items = self.getMergeItems(self.getMergePathValue(doc, path));
+      if (items) {
+        self.reorderWidgets(items, conflict.ours);
+      }
+      return;
+    }
+    var parent = self.getMergePathValue(doc, _.initial(path));
+    if (conflict.widgetId) {
+      if (parent && (parent.type === 'area')) {
+        parent.items = parent.items || [];
+      }
+      items = self.getMergeItems(parent);
+      if (!items) {
+        // The widget containing it is gone
+        return;
+      }
+      var index = _.findIndex(items, { _id: conflict.widgetId });
+      if (!conflict.ours) {
+        if (index !== -1) {
+          items.splice(index, 1);
+        }
+      } else if (index !== -1) {
+        items[index] = conflict.ours;
+      } else {
+        self.insertWidgetAfter(items, conflict.ours, _.compact([ conflict.after ]));
+      }
+      return;
+    }
+    if (!(parent && ((typeof parent) === 'object'))) {
+      return;
+    }
+    if (conflict.ours === undefined) {
+      delete parent[_.last(path)];
+    } else {
+      parent[_.last(path)] = conflict.ours;
+    }
+  };
+
+  // Deliver the conflicts recorded on `draft` to the callback, with
+  // `base`, `ours` and `theirs` replaced by their display form, see
+  // `formatMergeValue`. `theirs` is the current value of the draft.
+
+  self.getMergeConflictsForDisplay = function(req, draft, callback) {
+    return async.mapSeries(draft.workflowConflicts || [], function(conflict, callback) {
+      var result = _.pick(conflict, '_id', 'name', 'label', 'widgetId', 'widgetType', 'order', 'locale', 'createdAt');
+      return async.eachSeries([ 'base', 'ours', 'theirs' ], function(side, callback) {
+        var value = (side === 'theirs') ? self.getMergeValue(draft, conflict) : conflict[side];
+        return self.formatMergeValue(req, draft, conflict, value, function(err, formatted) {
+          result[side] = formatted;
+          return callback(err);
+        });
+      }, function(err) {
+        return callback(err, result);
+      });
+    }, callback);
+  };
+
+  // Deliver a short string representing `value`, one of the values of
+  // `conflict` for `doc`: the text of a widget, the number of widgets for
+  // the order of an area, or the value of a field as formatted by
+  // `formatFieldValue`.
+
+  self.formatMergeValue = function(req, doc, conflict, value, callback) {
+    if (conflict.order) {
+      return callback(null, (value || []).length + ' widgets');
+    }
+    if (conflict.widgetId) {
+      if (!value) {
+        return callback(null, 'Removed');
+      }
+      return callback(null, self.apos.areas.plaintext({ type: 'area', items: [ value ] }, { limit: 200 }) || value.type || 'item');
+    }
+    var path = self.getMergePath(conflict);
+    var field = self.getMergeField(doc, path);
+    if (!field) {
+      return callback(null, ((value === undefined) || (value === null)) ? '' : ((typeof value) === 'object') ? JSON.stringify(value) : String(value));
+    }
+    var object = {};
+    object[_.last(path)] = value;
+    return self.formatFieldValue(req, field, object, callback);
+  };
+
+  // A draft cannot be committed while conflicts from an export are
+  // unresolved. See `commitValidators`.
+
+  self.validateMergeConflicts = function(req, draft, live, callback) {
+    return callback(null, _.map(draft.workflowConflicts || [], function(conflict) {
+      return {
+        field: conflict.name,
+        label: conflict.label,
+        message: 'Unresolved conflict with an export from ' + conflict.locale + ': ' + conflict.label
+      };
+    }));
+  };
+
+};
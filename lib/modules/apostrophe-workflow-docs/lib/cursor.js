@@ -6,11 +6,17 @@ module.exports = {
     // Apostrophe will fetch only documents for the locale of req unless
     // explicitly asked to do otherwise via .workflowLocale(false).
     // The filter can also be called with a specific locale string.
+    //
+    // When the locale comes from req and it is a live locale, docs outside
+    // their publication window (embargoed or unpublished) are also excluded.
+    // Workflow's own queries always pass an explicit locale or null, so
+    // they can still reach those docs in order to commit them.
 
     self.addFilter('workflowLocale', {
       def: true,
       finalize: function() {
         var setting = self.get('workflowLocale');
+        var windows = false;
         if (setting === null) {
           return;
         }
@@ -19,6 +25,7 @@ module.exports = {
           if (!setting) {
             setting = workflow.defaultLocale;
           }
+          windows = !setting.match(/-draft$/);
         } else {
           // It's an explicit locale string
         }
@@ -26,11 +33,18 @@ module.exports = {
           if (workflow.includeType(self.get('type'))) {
             // query is restricted by type to a type that definitely involves workflow
             self.and({ workflowLocale: setting });
+            if (windows) {
+              self.and(workflow.getPublicationWindowCriteria());
+            }
           } else {
             // Restricted by type to a type that definitely does not involve workflow,
             // no criteria needed
           }
         } else {
+          if (windows) {
+            // Docs not participating in workflow lack these properties and still match
+            self.and(workflow.getPublicationWindowCriteria());
+          }
           // Content not participating in localization will have no locale at all,
           // take care not to block access to that. However we can use `$in`,
           // which works just like the equality filter and will accept `null` as
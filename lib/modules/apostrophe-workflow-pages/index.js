@@ -18,7 +18,23 @@ module.exports = {
         name: 'commit',
         route: 'apostrophe-workflow:batch-commit',
         label: 'Commit',
-        buttonLabel: 'Commit'
+        buttonLabel: 'Commit',
+        // See the `batch-commit` route
+        schema: [
+          {
+            type: 'string',
+            name: 'message',
+            label: 'Message (optional)',
+            textarea: true
+          },
+          {
+            type: 'boolean',
+            name: 'allOrNothing',
+            label: 'All or Nothing',
+            help: 'Commit none of them unless all of them can be committed.',
+            def: false
+          }
+        ]
       },
       {
         name: 'force-export',
@@ -18,7 +18,7 @@ apos.define('apostrophe-pages-reorganize', {
         "Are you sure you want to commit " + self.choices.length + " page(s)?",
         {
           success: function(results, callback) {
-            return workflow.batchExport(_.values(results), callback);
+            return workflow.batchCommitted(results, callback);
           }
         }
       );
@@ -31,7 +31,12 @@ apos.define('apostrophe-pages-reorganize', {
         {
           dataSource: workflow.batchForceExportGetLocales,
           success: function(result, callback) {
-            workflow.presentBatchExportResult(result);
+            // Runs as an export job, which has its own progress display
+            workflow.exportJobProgress(result.exportJobId, {
+              success: function(results) {
+                workflow.presentBatchExportResult(results, result.exportJobId);
+              }
+            });
             return callback(null);
           }
         }
@@ -0,0 +1,337 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+var fs = require('fs');
+
+module.exports = function(self, options) {
+
+  // Subjects of the notifications sent for each type of event. `%s` is
+  // replaced with the title of the doc. Override or extend to taste.
+
+  self.notificationSubjects = {
+    submit: 'Submitted for review: %s',
+    commit: 'Committed: %s',
+    reject: 'Submission rejected: %s',
+    dismiss: 'Submission dismissed: %s',
+    export: 'Exported to your locale: %s',
+    conflict: 'Not committed as scheduled: %s'
+  };
+
+  // Transports deliver notifications. Each is a function that receives
+  // `(req, message, callback)`, where `message` has `to` (an email address),
+  // `user`, `subject`, `template` and `data` properties. The `transport`
+  // property of the `notifications` option picks one of these by name,
+  // or may be a function with the same signature. See also
+  // `addNotificationTransport`.
+
+  self.notificationTransports = {
+
+    // Sends email via the `apostrophe-email` module, which must be
+    // configured with a `nodemailer` option
+    email: function(req, message, callback) {
+      return self.email(req, message.template, message.data, {
+        to: message.to,
+        subject: message.subject
+      }, callback);
+    },
+
+    // Logs the notifications, for development
+    console: function(req, message, callback) {
+      self.apos.utils.log('To: ' + message.to + '\nSubject: ' + message.subject + '\n\n' + self.getNotificationText(req, message));
+      return callback(null);
+    },
+
+    // Appends the notifications to the file named by the `file` property
+    // of the `notifications` option as JSON, one per line, for testing
+    file: function(req, message, callback) {
+      var file = self.options.notifications.file || 'data/workflow-notifications.log';
+      return fs.appendFile(file, JSON.stringify({
+        to: message.to,
+        subject: message.subject,
+        text: self.getNotificationText(req, message),
+        when: new Date()
+      }) + '\n', callback);
+    }
+
+  };
+
+  self.addNotificationTransport = function(name, fn) {
+    self.notificationTransports[name] = fn;
+  };
+
+  // Returns the transport function configured via the `transport`
+  // property of the `notifications` option, or null if there is no such
+  // transport. Defaults to `email`.
+
+  self.getNotificationTransport = function() {
+    var transport = self.options.notifications.transport || 'email';
+    if ((typeof transport) === 'function') {
+      return transport;
+    }
+    return self.notificationTransports[transport] || null;
+  };
+
+  // Deliver `message` with the configured transport, see
+  // `getNotificationTransport`. An unknown transport is reported to the
+  // callback, as notifications are sent after the fact and must not
+  // bring the process down.
+
+  self.sendNotification = function(req, message, callback) {
+    var transport = self.getNotificationTransport();
+    if (!transport) {
+      return callback(new Error('apostrophe-workflow: unknown notification transport ' + self.options.notifications.transport));
+    }
+    return transport(req, message, callback);
+  };
+
+  // Create the mongodb collection in which notifications wait for the
+  // next daily digest.
+
+  self.enableNotificationsCollection = function(callback) {
+    self.notificationsDb = self.apos.db.collection('aposWorkflowNotifications');
+    return self.notificationsDb.ensureIndex({ userId: 1, createdAt: 1 }, callback);
+  };
+
+  // Notify the relevant users that an event of the given `type` concerning
+  // `doc` took place: `submit`, `commit`, `reject`, `dismiss`, `export` or
+  // `conflict` (a scheduled commit was not made, see
+  // `recordScheduledCommitConflict`).
+  // Does nothing unless the `notifications` option is set.
+  //
+  // `data` may contain `submitted`, the `workflowSubmitted` property the
+  // doc had before the event, and `comment` or `message` to include in
+  // the notification. The user of `req` is never notified of their own
+  // actions.
+  //
+  // Each recipient is notified immediately, in the next daily digest or
+  // not at all, according to their preference (see
+  // `getNotificationMode`). The callback is optional; without one,
+  // errors are logged, so the caller need not wait.
+
+  self.notify = function(req, type, doc, data, callback) {
+    callback = callback || function(err) {
+      if (err) {
+        self.apos.utils.error('Workflow notification failed:', err);
+      }
+    };
+    if (!self.options.notifications) {
+      return callback(null);
+    }
+    return self.getNotificationRecipients(req, type, doc, data, function(err, users) {
+      if (err) {
+        return callback(err);
+      }
+      users = _.filter(users, function(user) {
+        return user.email && (!(req.user && (user.username === req.user.username)));
+      });
+      return async.eachSeries(users, function(user, callback) {
+        var message = self.getNotificationMessage(req, type, doc, data, user);
+        var mode = self.getNotificationMode(user);
+        if (mode === 'none') {
+          return callback(null);
+        }
+        if (mode === 'digest') {
+          return self.queueNotification(user, message, callback);
+        }
+        return self.sendNotification(req, message, callback);
+      }, callback);
+    });
+  };
+
+  // Returns `immediate`, `digest` or `none`, the way `user` wants to
+  // receive notifications. Users choose this in the "My Submissions"
+  // dialog box and it is stored as their `workflowNotifications`
+  // property. The `mode` property of the `notifications` option is
+  // the default.
+
+  self.getNotificationMode = function(user) {
+    return user.workflowNotifications || self.options.notifications.mode || 'immediate';
+  };
+
+  // Deliver an array of the users to be notified of an event, see `notify`.
+  // Submissions, commits and exports concern the editors of the live locale
+  // of `doc`, see `getLocaleEditors`. The submitter, if any, also hears
+  // about commits, rejections and dismissals of their submission, and
+  // whoever scheduled a commit about its conflicts.
+
+  self.getNotificationRecipients = function(req, type, doc, data, callback) {
+    var users = [];
+    return async.series([
+      getEditors,
+      getSubmitter
+    ], function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, _.uniq(users, function(user) {
+        return user._id;
+      }));
+    });
+    function getEditors(callback) {
+      if (!_.includes([ 'submit', 'commit', 'export' ], type)) {
+        return callback(null);
+      }
+      return self.getLocaleEditors(doc.type, self.liveify(doc.workflowLocale), function(err, editors) {
+        users = users.concat(editors || []);
+        return callback(err);
+      });
+    }
+    function getSubmitter(callback) {
+      var submitted = data.submitted;
+      if ((type === 'submit') || (!(submitted && submitted.username))) {
+        return callback(null);
+      }
+      return self.apos.docs.db.findWithProjection({
+        type: 'apostrophe-user',
+        username: submitted.username,
+        disabled: { $ne: true },
+        trash: { $ne: true }
+      }, self.getNotificationRecipientProjection()).toArray(function(err, submitters) {
+        users = users.concat(submitters || []);
+        return callback(err);
+      });
+    }
+  };
+
+  // Deliver an array of the users who may edit docs of the given type in
+  // the given live locale, according to the `permissionsLocales` of their
+  // groups. Sitewide admins are not included unless they also belong to
+  // such a group.
+
+  self.getLocaleEditors = function(type, locale, callback) {
+    var actions = [ 'edit', 'edit-' + type, 'admin-' + type ];
+    return self.apos.docs.db.findWithProjection({
+      type: 'apostrophe-group',
+      trash: { $ne: true },
+      $or: _.map(actions, function(action) {
+        var criteria = {};
+        criteria['permissionsLocales.' + action + '.' + locale] = true;
+        return criteria;
+      })
+    }, { _id: 1 }).toArray(function(err, groups) {
+      if (err) {
+        return callback(err);
+      }
+      if (!groups.length) {
+        return callback(null, []);
+      }
+      return self.apos.docs.db.findWithProjection({
+        type: 'apostrophe-user',
+        groupIds: { $in: _.pluck(groups, '_id') },
+        disabled: { $ne: true },
+        trash: { $ne: true }
+      }, self.getNotificationRecipientProjection()).toArray(callback);
+    });
+  };
+
+  self.getNotificationRecipientProjection = function() {
+    return {
+      _id: 1,
+      username: 1,
+      title: 1,
+      email: 1,
+      workflowNotifications: 1
+    };
+  };
+
+  // Returns the message for one recipient of a notification, ready
+  // for a transport or for `queueNotification`.
+
+  self.getNotificationMessage = function(req, type, doc, data, user) {
+    var url = doc._url;
+    if (url && url.match(/^\//)) {
+      url = (self.apos.baseUrl || '') + url;
+    }
+    return {
+      to: user.email,
+      user: _.pick(user, '_id', 'username', 'title'),
+      subject: self.notificationSubjects[type].replace('%s', doc.title || doc.slug),
+      template: 'notification-email',
+      data: {
+        type: type,
+        title: doc.title || doc.slug,
+        locale: self.liveify(doc.workflowLocale || ''),
+        url: url,
+        actor: (req.user && req.user.title) || '',
+        comment: data.comment,
+        message: data.message
+      }
+    };
+  };
+
+  // Returns the plain text version of a message, for the transports
+  // that do not send email.
+
+  self.getNotificationText = function(req, message) {
+    return self.apos.modules['apostrophe-email'].getContent(req, message.template, message.data, {}, self).text;
+  };
+
+  // Store a message for the next daily digest of its recipient.
+
+  self.queueNotification = function(user, message, callback) {
+    return self.notificationsDb.insert({
+      _id: self.apos.utils.generateId(),
+      userId: user._id,
+      message: message,
+      createdAt: new Date()
+    }, callback);
+  };
+
+  // Send each user with queued notifications a single digest of them,
+  // then remove them from the queue. If a digest cannot be sent, the error
+  // is logged, its notifications stay queued for the next run and the
+  // other users still receive theirs. Invoked by the
+  // `apostrophe-workflow:send-notification-digests` task, which should
+  // run daily from cron.
+
+  self.sendNotificationDigests = function(callback) {
+    var req = self.apos.tasks.getReq();
+    return self.apos.locks.withLock('apostrophe-workflow-notification-digests', function(callback) {
+      return self.notificationsDb.find({}).sort({ createdAt: 1 }).toArray(function(err, queued) {
+        if (err) {
+          return callback(err);
+        }
+        var byUser = _.groupBy(queued, 'userId');
+        return async.eachSeries(_.keys(byUser), function(userId, callback) {
+          var entries = byUser[userId];
+          var first = entries[0].message;
+          var message = {
+            to: first.to,
+            user: first.user,
+            subject: 'Workflow digest: ' + entries.length + ' update(s)',
+            template: 'notification-digest-email',
+            data: {
+              messages: _.pluck(entries, 'message')
+            }
+          };
+          return async.series([
+            send,
+            dequeue
+          ], function(err) {
+            if (err) {
+              self.apos.utils.error('Workflow notification digest for ' + first.to + ' failed:', err);
+            }
+            return callback(null);
+          });
+          function send(callback) {
+            return self.sendNotification(req, message, callback);
+          }
+          function dequeue(callback) {
+            return self.notificationsDb.remove({ _id: { $in: _.pluck(entries, '_id') } }, callback);
+          }
+        }, callback);
+      });
+    }, callback);
+  };
+
+  // Set the notification preference of the current user: `immediate`,
+  // `digest` or `none`.
+
+  self.setNotificationMode = function(req, mode, callback) {
+    if (!(req.user && req.user._id)) {
+      return callback('forbidden');
+    }
+    mode = self.apos.launder.select(mode, [ 'immediate', 'digest', 'none' ], 'immediate');
+    return self.apos.docs.db.update({ _id: req.user._id }, { $set: { workflowNotifications: mode } }, callback);
+  };
+
+};
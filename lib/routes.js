@@ -4,19 +4,156 @@ var deep = require('deep-get-set');
 var qs = require('qs');
 
 module.exports = function(self, options) {
+  // If `req.body.publishAt` is a date in the future the commit is
+  // scheduled rather than carried out now. In that case `commitId`
+  // is `null` and `publishAt` is included in the response.
+  //
+  // `req.body.message` is an optional explanation stored with the commit.
+  //
+  // If `req.body.publicationWindow` is an object with `embargoUntil` and
+  // `unpublishAt` properties, the publication window of the doc is set
+  // along with the commit, see `commitWithPublicationWindow`. The status is
+  // `invalid-window` if the window is invalid.
+  //
+  // The status is `unapproved` if approval stages apply to the doc
+  // and have not all approved it yet, and `four-eyes` if the four-eyes
+  // policy forbids the current user from committing it.
+  // `req.body.fourEyesReason` overrides the policy, if the user may.
+  // It is `vetoed` if a `beforeCommit` handler vetoed the commit, in
+  // which case `message` explains why, and `invalid` if `validateCommit`
+  // found `problems`.
+  //
+  // The response includes the `changesetId` of the commit. The first
+  // commit of a sequence starts a new changeset; pass its id as
+  // `req.body.changesetId` to add the following commits to it. The status
+  // is `forbidden` if the changeset is not the user's own, see
+  // `mayJoinChangeset`.
+
   self.route('post', 'commit', function(req, res) {
-    return self.commitLatest(req, req.body.id, function(err, commitId, title) {
+    var publishAt = self.launderPublishAt(req.body.publishAt);
+    var changesetId = self.apos.launder.id(req.body.changesetId);
+    if (!changesetId) {
+      return commit(self.apos.utils.generateId());
+    }
+    return self.mayJoinChangeset(req, changesetId, function(err, mayJoin) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      if (!mayJoin) {
+        return res.send({ status: 'forbidden' });
+      }
+      return commit(changesetId);
+    });
+
+    function commit(changesetId) {
+      var options = {
+        publishAt: publishAt,
+        message: req.body.message,
+        fourEyesReason: req.body.fourEyesReason,
+        changesetId: changesetId,
+        overwrite: self.apos.launder.boolean(req.body.overwrite)
+      };
+      if (req.body.publicationWindow && ((typeof req.body.publicationWindow) === 'object')) {
+        return self.commitWithPublicationWindow(req, req.body.id, req.body.publicationWindow, options, function(err, commitId, title) {
+          return respond(err, commitId, title, changesetId);
+        });
+      }
+      return self.commitLatest(req, req.body.id, options, function(err, commitId, title) {
+        return respond(err, commitId, title, changesetId);
+      });
+    }
+
+    function respond(err, commitId, title, changesetId) {
+      if ((err === 'unapproved') || (err === 'four-eyes') || (err === 'invalid-window')) {
+        return res.send({ status: err });
+      }
+      if (self.isConflict(err)) {
+        return res.send({ status: 'conflict', changes: err.workflowConflict.changes });
+      }
+      if (self.isVeto(err)) {
+        return res.send({ status: 'vetoed', message: err.workflowVeto });
+      }
+      if (self.isInvalidCommit(err)) {
+        return res.send({ status: 'invalid', problems: err.workflowProblems });
+      }
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      if (!commitId) {
+        return res.send({ status: 'ok', commitId: commitId, title: title, publishAt: publishAt });
+      }
+      // Let the browser know about an automatic export, see `autoExport`
+      return self.db.findOne({ _id: commitId }, function(err, commit) {
+        if (err) {
+          self.apos.utils.error(err);
+        }
+        return res.send({ status: 'ok', commitId: commitId, title: title, changesetId: changesetId, autoExportJobId: commit && commit.autoExportJobId });
+      });
+    }
+  });
+
+  // Set or clear the publication window (`embargoUntil`, `unpublishAt`)
+  // of the doc `id` in its own locale. See `setPublicationWindow`.
+
+  self.route('post', 'publication-window', function(req, res) {
+    return self.setPublicationWindow(req, req.body.id, {
+      embargoUntil: req.body.embargoUntil,
+      unpublishAt: req.body.unpublishAt
+    }, function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: (err === 'invalid') ? 'invalid' : 'error' });
+      }
+      return res.send({ status: 'ok' });
+    });
+  });
+
+  self.route('post', 'cancel-scheduled-commit', function(req, res) {
+    return self.cancelScheduledCommit(req, req.body.id, function(err) {
       if (err) {
         self.apos.utils.error(err);
         return res.send({ status: 'error' });
       }
-      return res.send({ status: 'ok', commitId: commitId, title: title });
+      return res.send({ status: 'ok' });
     });
   });
 
+  // Commit the docs `req.body.ids` as a job, with the optional message
+  // `req.body.message`. The commits form one changeset, see
+  // `getChangeset`. With the `batchCommitAllOrNothing` option, or if
+  // `req.body.allOrNothing` is true, the batch is committed all or nothing
+  // and the results of the job are the report of `commitAllOrNothing`.
+
   self.route('post', 'batch-commit', function(req, res) {
+    var changesetId = self.apos.utils.generateId();
+    if (self.options.batchCommitAllOrNothing || self.apos.launder.boolean(req.body.allOrNothing)) {
+      return self.apos.modules['apostrophe-jobs'].runNonBatch(req, function(req, reporting, callback) {
+        var ids = self.apos.launder.ids(req.body.ids);
+        reporting.setTotal(ids.length);
+        return self.commitAllOrNothing(req, ids, { message: req.body.message, changesetId: changesetId }, function(err, report) {
+          if (err) {
+            return callback(err);
+          }
+          _.each(report.docs, function(entry) {
+            if (entry.status === 'committed') {
+              reporting.good();
+            } else {
+              reporting.bad();
+            }
+          });
+          reporting.setResults(report);
+          return callback(null);
+        });
+      }, {
+        labels: {
+          title: 'Commit'
+        }
+      });
+    }
     return self.apos.modules['apostrophe-jobs'].run(req, function(req, id, callback) {
-      return self.commitLatest(req, id, callback);
+      return self.commitLatest(req, id, { message: req.body.message, changesetId: changesetId }, callback);
     }, {
       labels: {
         title: 'Commit'
@@ -24,9 +161,17 @@ module.exports = function(self, options) {
     });
   });
 
+  // Revert the draft to the commit `req.body.id`. If `req.body.parts`
+  // is a non-empty array of schema field names, area names and widget
+  // ids, only those are reverted. See `revert`.
+
   self.route('post', 'revert', function(req, res) {
     var id = self.apos.launder.id(req.body.id);
-    return self.revert(req, id, function(err, result) {
+    var parts = self.apos.launder.strings(req.body.parts);
+    return self.revert(req, id, { parts: parts }, function(err, result) {
+      if (self.isVeto(err)) {
+        return res.send({ status: 'vetoed', message: err.workflowVeto });
+      }
       if (err) {
         return res.send({
           status: (typeof (err) === 'string') ? err : 'error'
@@ -51,9 +196,75 @@ module.exports = function(self, options) {
     });
   });
 
+  // Roll the live version back to the commit `req.body.id`, see `rollback`.
+  // `req.body.message` is optional. If `req.body.export` is true the
+  // rollback is also exported to the locales that received that commit.
+
+  self.route('post', 'rollback', function(req, res) {
+    return self.rollback(req, req.body.id, {
+      message: req.body.message,
+      export: self.apos.launder.boolean(req.body.export)
+    }, function(err, result) {
+      if (self.isVeto(err)) {
+        return res.send({ status: 'vetoed', message: err.workflowVeto });
+      }
+      if (self.isInvalidCommit(err)) {
+        return res.send({ status: 'invalid', problems: err.workflowProblems });
+      }
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send(_.assign({ status: 'ok' }, result));
+    });
+  });
+
+  // Export every commit of the changeset `req.body.id` to the locales
+  // `req.body.locales`, see `exportChangeset`.
+
+  self.route('post', 'export-changeset', function(req, res) {
+    return self.exportChangeset(req, self.apos.launder.id(req.body.id), req.body.locales, function(err, results) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send({ status: 'ok', results: results });
+    });
+  });
+
+  // Undo the changeset `req.body.id` in the live locale, see
+  // `rollbackChangeset`. `req.body.message` is optional. If
+  // `req.body.export` is true each rollback is also exported to the
+  // locales that received the commit it undoes.
+
+  self.route('post', 'rollback-changeset', function(req, res) {
+    return self.rollbackChangeset(req, self.apos.launder.id(req.body.id), {
+      message: req.body.message,
+      export: self.apos.launder.boolean(req.body.export)
+    }, function(err, result) {
+      if (self.isVeto(err)) {
+        return res.send({ status: 'vetoed', message: err.workflowVeto });
+      }
+      if (self.isInvalidCommit(err)) {
+        return res.send({ status: 'invalid', problems: err.workflowProblems });
+      }
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: (err === 'notfound') ? err : 'error' });
+      }
+      return res.send(_.assign({ status: 'ok' }, result));
+    });
+  });
+
+  // `req.body.commit` commits the drafts exported to, see the `commit`
+  // option of `export`
+
   self.route('post', 'export', function(req, res) {
     var id = self.apos.launder.id(req.body.id);
-    return self.export(req, id, req.body.locales, function(err, results) {
+    return self.export(req, id, req.body.locales, {
+      dryRun: self.apos.launder.boolean(req.body.dryRun),
+      commit: self.apos.launder.boolean(req.body.commit)
+    }, function(err, results) {
       if (err) {
         return res.send({
           status: (typeof (err) === 'string') ? err : 'error'
@@ -65,18 +276,25 @@ module.exports = function(self, options) {
     });
   });
 
+  // Batch exports run as export jobs, which survive restarts and can be
+  // canceled, see `startExportJob`. The browser follows the job with the
+  // `export-job-progress` route
+
   self.route('post', 'batch-export', function(req, res) {
-    return self.apos.modules['apostrophe-jobs'].run(req, function(req, id, callback) {
-      return self.export(req, id, req.body.locales, callback);
-    }, {
-      labels: {
-        title: 'Export'
+    return self.startExportJob(req, 'export', req.body.ids, req.body.locales, { commit: self.apos.launder.boolean(req.body.commit) }, function(err, job) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
       }
+      return res.send({ status: 'ok', exportJobId: job._id });
     });
   });
 
   self.route('post', 'force-export', function(req, res) {
-    return self.forceExport(req, req.body.id, req.body.locales, function(err, results) {
+    return self.forceExport(req, req.body.id, req.body.locales, {
+      dryRun: self.apos.launder.boolean(req.body.dryRun),
+      commit: self.apos.launder.boolean(req.body.commit)
+    }, function(err, results) {
       if (err) {
         self.apos.utils.error(err);
         return res.send({ status: 'error' });
@@ -90,13 +308,83 @@ module.exports = function(self, options) {
     });
   });
 
+  // Render a preview of what exporting the commit `req.body.id` to the
+  // locales `req.body.locales` would do in each of them, from a dry run
+  // of `export`. If `req.body.force` is true, `req.body.id` is a doc id
+  // and `forceExport` is previewed instead.
+
+  self.route('post', 'export-preview', function(req, res) {
+    var force = self.apos.launder.boolean(req.body.force);
+    return self[force ? 'forceExport' : 'export'](req, req.body.id, req.body.locales, { dryRun: true }, function(err, results) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      var locales = _.map(results.success, function(locale) {
+        return {
+          name: locale,
+          description: self.describeMergeOutcomes(results.outcomes[locale])
+        };
+      }).concat(_.map(results.errors, function(error) {
+        return {
+          name: error.locale,
+          error: error.message
+        };
+      }));
+      return res.send({
+        status: 'ok',
+        html: self.render(req, 'export-preview.html', {
+          force: force,
+          locales: locales
+        })
+      });
+    });
+  });
+
   self.route('post', 'batch-force-export', function(req, res) {
-    return self.apos.modules['apostrophe-jobs'].run(req, function(req, id, callback) {
-      return self.forceExport(req, id, req.body.locales, callback);
-    }, {
-      labels: {
-        title: 'Force Export'
+    return self.startExportJob(req, 'force-export', req.body.ids, req.body.locales, { commit: self.apos.launder.boolean(req.body.commit) }, function(err, job) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send({ status: 'ok', exportJobId: job._id });
+    });
+  });
+
+  // The progress of the export job `req.body._id`, as HTML with the status
+  // of each locale. Once the job has ended, `results` are those of
+  // `getExportJobResults`
+
+  self.route('post', 'export-job-progress', function(req, res) {
+    return self.findExportJob(req, req.body._id, function(err, job) {
+      if (err) {
+        if (err !== 'notfound') {
+          self.apos.utils.error(err);
+        }
+        return res.send({ status: err });
+      }
+      var ended = !_.includes([ 'running', 'canceling' ], job.status);
+      return res.send(_.assign({
+        status: 'ok',
+        jobStatus: job.status,
+        ended: ended,
+        html: self.render(req, 'export-job-progress.html', {
+          job: job,
+          progress: self.getExportJobProgress(job)
+        })
+      }, ended ? { results: self.getExportJobResults(job) } : {}));
+    });
+  });
+
+  self.route('post', 'cancel-export-job', function(req, res) {
+    return self.cancelExportJob(req, req.body._id, function(err) {
+      if (err) {
+        if (err !== 'notfound') {
+          self.apos.utils.error(err);
+        }
+        return res.send({ status: err });
       }
+      return res.send({ status: 'ok' });
     });
   });
 
@@ -330,25 +618,11 @@ module.exports = function(self, options) {
     }
     var ids = self.apos.launder.ids(req.body.ids);
     return async.eachSeries(ids, function(id, callback) {
-      return async.series([
-        checkPermissions,
-        submit
-      ], callback);
-      function checkPermissions(callback) {
-        return self.findDocs(req, { _id: id }, self.draftify(req.locale)).toObject(function(err, obj) {
-          if (err) {
-            return callback(err);
-          }
-          if ((!obj) || (!obj._edit)) {
-            return callback('not found');
-          }
-          return callback(null);
-        });
-      }
-      function submit(callback) {
-        return self.apos.docs.db.update({ _id: id }, { $set: { workflowSubmitted: self.getWorkflowSubmittedProperty(req, { type: 'submit' }) } }, callback);
-      }
+      return self.submit(req, id, callback);
     }, function(err) {
+      if (self.isVeto(err)) {
+        return res.send({ status: 'vetoed', message: err.workflowVeto });
+      }
       if (err) {
         self.apos.utils.error(err);
         return res.send({ status: 'error' });
@@ -365,6 +639,7 @@ module.exports = function(self, options) {
     }
 
     var id = self.apos.launder.id(req.body.id);
+    var doc;
 
     return async.series([
       checkPermissions,
@@ -374,6 +649,9 @@ module.exports = function(self, options) {
         self.apos.utils.error(err);
         return res.send({ status: 'error' });
       }
+      if (doc.workflowSubmitted) {
+        self.notify(req, 'dismiss', doc, { submitted: doc.workflowSubmitted });
+      }
       return res.send({ status: 'ok' });
     });
 
@@ -385,6 +663,7 @@ module.exports = function(self, options) {
         if (!(obj && obj._edit)) {
           return callback('not found');
         }
+        doc = obj;
         return callback(null);
       });
     }
@@ -395,18 +674,134 @@ module.exports = function(self, options) {
 
   });
 
+  // Reject the submission of `req.body.id`, with `req.body.comment`
+  // as the reason. See the `reject` method, whose errors `comment-required`,
+  // `notfound`, `notsubmitted` and `forbidden` are sent as the status.
+
+  self.route('post', 'reject', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    return self.reject(req, req.body.id, req.body.comment, function(err, title) {
+      if ((err === 'comment-required') || (err === 'notfound') || (err === 'notsubmitted') || (err === 'forbidden')) {
+        return res.send({ status: err });
+      }
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send({ status: 'ok', title: title });
+    });
+  });
+
+  // Approve the submission of `req.body.id` on behalf of the stage
+  // it is waiting on. See the `approve` method. `stage` in the response
+  // is the next stage, or `null` if the doc may now be committed.
+
+  self.route('post', 'approve', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    return self.approve(req, req.body.id, function(err, title, next) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send({ status: 'ok', title: title, stage: next && self.getApprovalStageOptions(next).label });
+    });
+  });
+
+  // Set the notification preference of the current user to
+  // `req.body.mode`: `immediate`, `digest` or `none`.
+
+  self.route('post', 'notification-preferences', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    return self.setNotificationMode(req, req.body.mode, function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return res.send({ status: 'ok' });
+    });
+  });
+
+  self.route('post', 'my-submissions-modal', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    var submissions, trail;
+    return async.series([
+      getMySubmissions,
+      getAuditTrail
+    ], function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.status(500).send('error');
+      }
+      return res.send(self.render(req, 'my-submissions-modal.html', {
+        submissions: submissions,
+        trail: trail,
+        notifications: !!self.options.notifications,
+        notificationMode: self.options.notifications && self.getNotificationMode(req.user)
+      }));
+    });
+    function getMySubmissions(callback) {
+      return self.getMySubmissions(req, function(err, _submissions) {
+        submissions = _submissions;
+        _.each(submissions, function(doc) {
+          var stage = doc.workflowSubmitted && self.getPendingApprovalStage(doc);
+          doc._workflowStageLabel = stage && self.getApprovalStageOptions(stage).label;
+        });
+        return callback(err);
+      });
+    }
+    function getAuditTrail(callback) {
+      return self.getAuditTrail({ 'submitted.username': req.user.username }, {}, function(err, _trail) {
+        trail = _trail;
+        return callback(err);
+      });
+    }
+  });
+
   self.route('post', 'manage-modal', function(req, res) {
     if (!req.user) {
       // Confusion to the enemy
       return res.status(404).send('not found');
     }
-    return self.getSubmitted(req, {}, function(err, submitted) {
+    var submitted, scheduled;
+    return async.series([
+      getSubmitted,
+      getScheduledCommits
+    ], function(err) {
       if (err) {
         self.apos.utils.error(err);
         return;
       }
-      return res.send(self.render(req, 'manage-modal.html', { submitted: submitted, label: self.locales[req.locale].label || req.locale }));
+      return res.send(self.render(req, 'manage-modal.html', {
+        submitted: submitted,
+        groups: self.groupSubmittedByStage(req, submitted),
+        scheduled: scheduled,
+        label: self.locales[req.locale].label || req.locale
+      }));
     });
+    function getSubmitted(callback) {
+      return self.getSubmitted(req, {}, function(err, _submitted) {
+        submitted = _submitted;
+        return callback(err);
+      });
+    }
+    function getScheduledCommits(callback) {
+      return self.getScheduledCommits(req, {}, function(err, _scheduled) {
+        scheduled = _scheduled;
+        return callback(err);
+      });
+    }
   });
 
   self.route('post', 'history-modal', function(req, res) {
@@ -495,6 +890,9 @@ module.exports = function(self, options) {
         self.apos.utils.error(err || 'notfound');
         return res.send({ status: 'error' });
       }
+      if ((status === 'inTrash') || (status === 'newInTrash')) {
+        self.emitWebhook(req, 'activate', doc, {});
+      }
       return res.send({ status: 'ok', url: doc._url });
     });
 
@@ -600,10 +998,12 @@ module.exports = function(self, options) {
     var index = self.apos.launder.integer(req.body.index);
     var total = self.apos.launder.integer(req.body.total);
     var lead = self.apos.launder.boolean(req.body.lead);
-    var draft, live, modifiedFields;
+    var draft, live, fieldChanges, problems, conflict;
     return async.series([
       getDraftAndLive,
-      getModifiedFields
+      getFieldChanges,
+      validate,
+      getConflict
     ], function(err) {
       if (err) {
         self.apos.utils.error(err);
@@ -617,7 +1017,12 @@ module.exports = function(self, options) {
       }
       return res.send(self.render(req, 'commit-modal.html', {
         doc: draft,
-        modifiedFields: modifiedFields,
+        live: live,
+        fourEyes: self.fourEyesForbids(req, draft),
+        modifiedFields: _.pluck(fieldChanges, 'label'),
+        fieldChanges: fieldChanges,
+        problems: problems,
+        conflict: conflict,
         index: index,
         total: total,
         lead: lead,
@@ -635,9 +1040,25 @@ module.exports = function(self, options) {
       });
     }
 
-    function getModifiedFields(callback) {
-      return self.getModifiedFields(req, draft, live, function(err, _modifiedFields) {
-        modifiedFields = _modifiedFields;
+    function getFieldChanges(callback) {
+      // Work on a copy, as relationships in the live version are resolved
+      // to the draft locale for comparison
+      return self.getFieldChanges(req, _.cloneDeep(live), draft, function(err, _fieldChanges) {
+        fieldChanges = _fieldChanges;
+        return callback(err);
+      });
+    }
+
+    function validate(callback) {
+      return self.validateCommit(req, draft, live, function(err, _problems) {
+        problems = _problems;
+        return callback(err);
+      });
+    }
+
+    function getConflict(callback) {
+      return self.getConflict(req, draft, live, function(err, _conflict) {
+        conflict = _conflict;
         return callback(err);
       });
     }
@@ -657,6 +1078,15 @@ module.exports = function(self, options) {
   // (the last submitter was someone else, or they are not
   // currently in a submitted state).
   //
+  // The `rejected` array contains the ids that are modified
+  // and whose last submission by the current user was rejected.
+  //
+  // The `fourEyes` array contains the ids that are modified
+  // and that the four-eyes policy forbids the current user
+  // from committing, because they edited or submitted them.
+  // Such ids are left out of `committable` unless the user
+  // may override the policy.
+  //
   // If req.body.related is true, also include the ids of
   // editable documents related to those specified,
   // via joins or widgets.
@@ -681,6 +1111,12 @@ module.exports = function(self, options) {
         committable: _.pluck(committable, '_id'),
         unsubmitted: _.pluck(_.filter(modified, function(doc) {
           return ((!doc.workflowSubmitted) || (doc.workflowSubmitted.username !== req.user.username));
+        }), '_id'),
+        rejected: _.pluck(_.filter(modified, function(doc) {
+          return doc.workflowRejected && (doc.workflowRejected.submitted.username === req.user.username);
+        }), '_id'),
+        fourEyes: _.pluck(_.filter(modified, function(doc) {
+          return self.fourEyesForbids(req, doc);
         }), '_id')
       });
     });
@@ -738,6 +1174,9 @@ module.exports = function(self, options) {
       if (!live._edit) {
         return res.send({ status: 'no' });
       }
+      if (!self.mayCommitUnderFourEyes(req, draft)) {
+        return res.send({ status: 'no' });
+      }
       return res.send({ status: 'ok' });
     });
   });
@@ -914,6 +1353,67 @@ module.exports = function(self, options) {
     });
   });
 
+  // Report the fields that changed, with their values before and after
+  // in display form, see `getFieldChanges`. Compares the draft doc
+  // `req.body.id` with its live version, or the two sides of the commit
+  // `req.body.commitId`.
+
+  self.route('post', 'field-changes', function(req, res) {
+
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+
+    var id = self.apos.launder.id(req.body.id);
+    var commitId = self.apos.launder.id(req.body.commitId);
+    var before, after;
+
+    return async.series([
+      getContent
+    ], function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: 'error' });
+      }
+      return self.getFieldChanges(req, before, after, function(err, changes) {
+        if (err) {
+          self.apos.utils.error(err);
+          return res.send({ status: 'error' });
+        }
+        return res.send({
+          status: 'ok',
+          changes: changes
+        });
+      });
+    });
+
+    function getContent(callback) {
+      if (commitId) {
+        return self.findDocAndCommit(req, commitId, function(err, doc, commit) {
+          if (err) {
+            return callback(err);
+          }
+          if (!commit) {
+            return callback('notfound');
+          }
+          before = commit.to;
+          after = commit.from;
+          return callback(null);
+        });
+      }
+      return self.getDraftAndLive(req, id, {}, function(err, draft, live) {
+        if (err) {
+          return callback(err);
+        }
+        before = live;
+        after = draft;
+        return callback(null);
+      });
+    }
+
+  });
+
   self.route('post', 'review-modal', function(req, res) {
 
     if (!req.user) {
@@ -923,10 +1423,10 @@ module.exports = function(self, options) {
 
     var id = self.apos.launder.id(req.body.id);
     var commit;
-    var modifiedFields;
+    var fieldChanges;
 
     return async.series([
-      find, getModifiedFields, after
+      find, getFieldChanges, after
     ], function(err) {
       if (err) {
         self.apos.utils.error(err);
@@ -938,7 +1438,20 @@ module.exports = function(self, options) {
       if (preview) {
         preview = self.apos.templates.safe(preview);
       }
-      return res.send(self.render(req, 'review-modal.html', { preview: preview, commit: commit, doc: commit.to, modifiedFields: modifiedFields, localized: self.localized }));
+      return res.send(self.render(req, 'review-modal.html', {
+        preview: preview,
+        commit: commit,
+        doc: commit.to,
+        modifiedFields: _.pluck(fieldChanges, 'label'),
+        fieldChanges: fieldChanges,
+        // Offered as checkboxes to revert only some parts of the draft
+        revertableParts: _.map(_.filter(fieldChanges, function(field) {
+          return field.name !== 'type';
+        }), function(field) {
+          return _.pick(field, 'name', 'label');
+        }).concat(self.getModifiedAreas(commit.to, commit.from)),
+        localized: self.localized
+      }));
     });
 
     function find(callback) {
@@ -954,12 +1467,12 @@ module.exports = function(self, options) {
       });
     }
 
-    function getModifiedFields(callback) {
-      return self.getModifiedFields(req, commit.to, commit.from, function(err, _modifiedFields) {
+    function getFieldChanges(callback) {
+      return self.getFieldChanges(req, commit.to, commit.from, function(err, _fieldChanges) {
         if (err) {
           return callback(err);
         }
-        modifiedFields = _modifiedFields;
+        fieldChanges = _fieldChanges;
         return callback(null);
       });
     }
@@ -970,6 +1483,185 @@ module.exports = function(self, options) {
 
   });
 
+  // Render a modal comparing the versions `req.body.from` and `req.body.to`
+  // of the doc `req.body.id`, see `compareVersions`.
+
+  self.route('post', 'compare-modal', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    var id = self.apos.launder.id(req.body.id);
+    var from = self.apos.launder.id(req.body.from);
+    var to = self.apos.launder.id(req.body.to);
+    var doc, before, after, modifiedFields, commits;
+    return async.series([
+      getDoc,
+      compare,
+      getModifiedFields,
+      getCommits
+    ], function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.status(500).send('error');
+      }
+      return res.send(self.render(req, 'compare-modal.html', {
+        doc: doc,
+        from: from,
+        to: to,
+        fromCommit: _.find(commits, { _id: from }),
+        toCommit: _.find(commits, { _id: to }),
+        modifiedFields: modifiedFields
+      }));
+    });
+
+    function getDoc(callback) {
+      return self.findDocs(req, { _id: id }).toObject(function(err, _doc) {
+        if (err) {
+          return callback(err);
+        }
+        if (!_doc) {
+          return callback('notfound');
+        }
+        doc = _doc;
+        return callback(null);
+      });
+    }
+
+    function compare(callback) {
+      return self.compareVersions(req, id, from, to, function(err, diff, _before, _after) {
+        before = _before;
+        after = _after;
+        return callback(err);
+      });
+    }
+
+    function getModifiedFields(callback) {
+      return self.getModifiedFields(req, before, after, function(err, _modifiedFields) {
+        modifiedFields = _modifiedFields;
+        return callback(err);
+      });
+    }
+
+    // For labeling the versions that are commits
+    function getCommits(callback) {
+      return self.db.findWithProjection({ _id: { $in: [ from, to ] } }, { createdAt: 1, user: 1 }).toArray(function(err, _commits) {
+        commits = _commits;
+        return callback(err);
+      });
+    }
+  });
+
+  // Render a modal showing the live and draft versions of the doc
+  // `req.body.workflowGuid` next to each other, in the locale of the
+  // request. Both are rendered through the `workflowCompare` query
+  // parameters, see `pageBeforeSend`.
+
+  self.route('post', 'side-by-side-modal', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    var workflowGuid = self.apos.launder.id(req.body.workflowGuid);
+    return self.findDocs(req, { workflowGuid: workflowGuid }, self.draftify(req.locale)).toObject(function(err, doc) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.status(500).send('error');
+      }
+      if (!doc) {
+        return res.status(404).send('notfound');
+      }
+      return res.send(self.render(req, 'side-by-side-modal.html', {
+        doc: doc
+      }));
+    });
+  });
+
+  // Render a modal listing the conflicts recorded by `export` on the draft
+  // of the doc `req.body.workflowGuid` in the locale of the request, see
+  // `recordMergeConflicts`.
+
+  self.route('post', 'merge-conflicts-modal', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    var workflowGuid = self.apos.launder.id(req.body.workflowGuid);
+    var doc, conflicts;
+    return async.series([
+      getDraft,
+      getConflicts
+    ], function(err) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.status((err === 'notfound') ? 404 : 500).send(err);
+      }
+      return res.send(self.render(req, 'merge-conflicts-modal.html', {
+        doc: doc,
+        conflicts: conflicts
+      }));
+    });
+
+    function getDraft(callback) {
+      return self.findDocs(req, { workflowGuid: workflowGuid }, self.draftify(req.locale)).toObject(function(err, _doc) {
+        if (err) {
+          return callback(err);
+        }
+        if (!(_doc && _doc._edit)) {
+          return callback('notfound');
+        }
+        doc = _doc;
+        return callback(null);
+      });
+    }
+
+    function getConflicts(callback) {
+      return self.getMergeConflictsForDisplay(req, doc, function(err, _conflicts) {
+        conflicts = _conflicts;
+        return callback(err);
+      });
+    }
+  });
+
+  // Resolve the conflict `req.body.conflictId` of the draft `req.body.id`
+  // by keeping the exported value (`req.body.choice` is `ours`) or the
+  // value of the draft (`theirs`). See `resolveMergeConflict`.
+
+  self.route('post', 'resolve-merge-conflict', function(req, res) {
+    var choice = self.apos.launder.select(req.body.choice, [ 'ours', 'theirs' ]);
+    return self.resolveMergeConflict(req, req.body.id, self.apos.launder.id(req.body.conflictId), choice, function(err, draft) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.send({ status: (typeof (err) === 'string') ? err : 'error' });
+      }
+      return res.send({ status: 'ok', remaining: draft.workflowConflicts.length });
+    });
+  });
+
+  // Render a modal listing the commits of the changeset `req.body.id`,
+  // see `getChangeset`.
+
+  self.route('post', 'changeset-modal', function(req, res) {
+    if (!req.user) {
+      // Confusion to the enemy
+      return res.status(404).send('not found');
+    }
+    var changesetId = self.apos.launder.id(req.body.id);
+    return self.getChangeset(req, changesetId, function(err, commits) {
+      if (err) {
+        self.apos.utils.error(err);
+        return res.status(500).send('error');
+      }
+      return res.send(self.render(req, 'changeset-modal.html', {
+        changesetId: changesetId,
+        commits: commits,
+        commitIds: _.pluck(commits, '_id'),
+        exportedTo: _.uniq(_.flatten(_.compact(_.pluck(commits, 'exportedTo')))),
+        localized: self.localized
+      }));
+    });
+  });
+
   self.route('post', 'export-modal', function(req, res) {
     if (!req.user) {
       // Confusion to the enemy
@@ -1014,6 +1706,80 @@ module.exports = function(self, options) {
     });
   });
 
+  // Report what a batch export did to each widget and property, per doc
+  // and per locale, from the results of the export job `req.body.jobId`
+
+  self.route('post', 'batch-export-report-modal', function(req, res) {
+    var docs = [];
+    return self.findExportJob(req, req.body.jobId, function(err, job) {
+      if (err) {
+        if (err !== 'notfound') {
+          self.apos.utils.error(err);
+        }
+        return res.status((err === 'notfound') ? 404 : 500).send(err);
+      }
+      var results = self.getExportJobResults(job);
+      return async.eachSeries(_.keys(results), function(id, callback) {
+        var result = results[id];
+        return getDoc(id, function(err, doc) {
+          if (err) {
+            return callback(err);
+          }
+          docs.push({
+            title: doc ? (doc.title || doc.slug) : id,
+            locales: _.map(result.success, function(locale) {
+              var outcomes = (result.outcomes && result.outcomes[locale]) || [];
+              return {
+                name: locale,
+                outcomes: outcomes,
+                counts: _.countBy(outcomes, function(outcome) {
+                  return outcome.missing ? 'missing' : outcome.outcome;
+                }),
+                committed: !!(result.commits && result.commits[locale]),
+                commitError: _.get(_.find(result.commitErrors || [], { locale: locale }), 'message')
+              };
+            }).concat(_.map(result.errors, function(error) {
+              return {
+                name: error.locale,
+                error: error.message
+              };
+            }))
+          });
+          return callback(null);
+        });
+      }, function(err) {
+        if (err) {
+          self.apos.utils.error(err);
+          return res.status(500).send('error');
+        }
+        return res.send(self.render(req, 'batch-export-report-modal.html', { docs: docs }));
+      });
+
+      // The ids of an export job are commit ids, those of a force export
+      // job are doc ids
+      function getDoc(id, callback) {
+        if (job.verb === 'force-export') {
+          return self.apos.docs.db.findOne({ _id: id }, callback);
+        }
+        return self.db.findOne({ _id: id }, function(err, commit) {
+          return callback(err, commit && commit.from);
+        });
+      }
+    });
+  });
+
+  self.route('post', 'export-job-modal', function(req, res) {
+    return self.findExportJob(req, req.body._id, function(err, job) {
+      if (err) {
+        if (err !== 'notfound') {
+          self.apos.utils.error(err);
+        }
+        return res.status((err === 'notfound') ? 404 : 500).send(err);
+      }
+      return res.send(self.render(req, 'export-job-modal.html', { job: job }));
+    });
+  });
+
   self.route('post', 'force-export-widget-modal', function(req, res) {
     if (!req.user) {
       // Confusion to the enemy
@@ -1080,6 +1846,12 @@ module.exports = function(self, options) {
     });
   });
 
+  // Describe the widgets that changed, for highlighting in the preview
+  // iframe, and the string fields that changed, word by word. Compares
+  // the draft doc `req.body.id` with its live version, or the two sides
+  // of the commit `req.body.commitId`, or the versions `req.body.from`
+  // and `req.body.to` of the doc `req.body.id`, see `compareVersions`.
+
   self.route('post', 'diff', function(req, res) {
 
     if (!req.user) {
@@ -1090,8 +1862,24 @@ module.exports = function(self, options) {
     var id = self.apos.launder.id(req.body.id);
     var commitId = self.apos.launder.id(req.body.commitId);
     var diff = [];
+    var fields = [];
     var draft, live;
 
+    if (req.body.from && req.body.to) {
+      return self.compareVersions(req, id, self.apos.launder.id(req.body.from), self.apos.launder.id(req.body.to), function(err, diff, before, after) {
+        if (err) {
+          self.apos.utils.error(err);
+          return res.send({ status: 'error' });
+        }
+        return res.send({
+          status: 'ok',
+          diff: diff,
+          fields: self.getFieldTextDiffs(before, after),
+          id: id
+        });
+      });
+    }
+
     return async.series([
       getContent,
       // Resolve the joins in the live doc to point to the draft's docs, so we don't get false
@@ -1109,6 +1897,7 @@ module.exports = function(self, options) {
       return res.send({
         status: 'ok',
         diff: diff,
+        fields: fields,
         id: id
       });
 
@@ -1165,6 +1954,7 @@ module.exports = function(self, options) {
     }
 
     function generateDiff(callback) {
+      fields = self.getFieldTextDiffs(live, draft);
       self.deleteExcludedProperties(live);
       self.deleteExcludedProperties(draft);
       return self.applyPatch(live, draft, diff, callback);
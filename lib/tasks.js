@@ -37,6 +37,27 @@ module.exports = function(self, options) {
     );
   };
 
+  self.enableRunScheduledTask = function() {
+    self.apos.tasks.add(self.__meta.name, 'run-scheduled',
+      'Commit all drafts whose scheduled commit time has arrived. Run this task from cron, or set the "scheduledCommitsInterval" option instead.',
+      self.runScheduledTask
+    );
+  };
+
+  self.enableSendNotificationDigestsTask = function() {
+    self.apos.tasks.add(self.__meta.name, 'send-notification-digests',
+      'Send each user who chose the daily digest a summary of their queued workflow notifications. Run this task daily from cron.',
+      self.sendNotificationDigestsTask
+    );
+  };
+
+  self.enableReplayWebhooksTask = function() {
+    self.apos.tasks.add(self.__meta.name, 'replay-webhooks',
+      'Retry webhook deliveries that failed too many times. Pass --id=xyz to replay a single delivery.',
+      self.replayWebhooksTask
+    );
+  };
+
   // Run the given function inside the apostrophe-pages:parked lock, which
   // in the presence of workflow is the general purpose lock for major
   // overhauls of aposDocs. The function must take a callback.
@@ -189,6 +210,18 @@ module.exports = function(self, options) {
 
   };
 
+  self.runScheduledTask = function(apos, argv, callback) {
+    return self.runScheduledCommits(callback);
+  };
+
+  self.sendNotificationDigestsTask = function(apos, argv, callback) {
+    return self.sendNotificationDigests(callback);
+  };
+
+  self.replayWebhooksTask = function(apos, argv, callback) {
+    return self.replayWebhooks({ id: argv.id && self.apos.launder.id(argv.id) }, callback);
+  };
+
   self.addLocalePrefixesTask = function(apos, argv, callback) {
     return self.updateLocalePrefixes(callback);
   };
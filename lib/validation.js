@@ -0,0 +1,199 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+
+module.exports = function(self, options) {
+
+  // Validators run by `validateCommit` before a doc is committed. Each is
+  // a function receiving `(req, draft, live, callback)`, where `draft` is
+  // the draft about to be committed and `live` is the current live version.
+  // The callback receives `(null, problems)`, where `problems` is an array
+  // of objects with a `message` property and, where relevant, `field` and
+  // `label` properties naming the schema field concerned. See also
+  // `addCommitValidator`.
+
+  self.commitValidators = [
+    function(req, draft, live, callback) {
+      return self.validateRequiredFields(req, draft, live, callback);
+    },
+    function(req, draft, live, callback) {
+      return self.validateJoins(req, draft, live, callback);
+    },
+    function(req, draft, live, callback) {
+      return self.validateMergeConflicts(req, draft, live, callback);
+    }
+  ];
+
+  // Add a project-specific validator, see `commitValidators`.
+
+  self.addCommitValidator = function(fn) {
+    self.commitValidators.push(fn);
+  };
+
+  // Run all of the `commitValidators` against the draft `draft` and the
+  // live doc `live`. The callback receives `(null, problems)`. If `problems`
+  // is not empty the commit must not take place. Invoked by `commit`, and
+  // by the commit dialog box to present the problems as a checklist.
+
+  self.validateCommit = function(req, draft, live, callback) {
+    var problems = [];
+    return async.eachSeries(self.commitValidators, function(validator, callback) {
+      return validator(req, draft, live, function(err, _problems) {
+        problems = problems.concat(_problems || []);
+        return callback(err);
+      });
+    }, function(err) {
+      return callback(err, problems);
+    });
+  };
+
+  // Invoke `validateCommit`, then the callback, with an error made by
+  // `invalidCommitError` if there are problems.
+
+  self.checkCommitProblems = function(req, draft, live, callback) {
+    return self.validateCommit(req, draft, live, function(err, problems) {
+      if (err) {
+        return callback(err);
+      }
+      if (problems.length) {
+        return callback(self.invalidCommitError(problems));
+      }
+      return callback(null);
+    });
+  };
+
+  // Returns an error reporting `problems` found by `validateCommit`.
+  // The problems are its `workflowProblems` property.
+
+  self.invalidCommitError = function(problems) {
+    var err = new Error('The document cannot be committed until its problems are fixed');
+    err.workflowProblems = problems;
+    return err;
+  };
+
+  // Returns true if `err` was made by `invalidCommitError`.
+
+  self.isInvalidCommit = function(err) {
+    return !!(err && err.workflowProblems);
+  };
+
+  // Returns the doc as it would be in the live locale after committing
+  // `draft` to `live`, without touching either of them. Excluded properties
+  // keep their live values.
+
+  self.getCommitCandidate = function(draft, live) {
+    var candidate = self.apos.utils.clonePermanent(live);
+    _.each(self.apos.utils.clonePermanent(draft), function(val, key) {
+      if (self.includeProperty(key)) {
+        candidate[key] = val;
+      }
+    });
+    return candidate;
+  };
+
+  // Check the `required` schema fields of the doc as it would be in the
+  // live locale after the commit. Fields hidden by `showFields` are not
+  // checked, just as when editing.
+
+  self.validateRequiredFields = function(req, draft, live, callback) {
+    var manager = self.apos.docs.getManager(draft.type);
+    var schema = (manager && manager.schema) || [];
+    var candidate = self.getCommitCandidate(draft, live);
+    var problems = [];
+    _.each(schema, function(field) {
+      if (!field.required) {
+        return;
+      }
+      if (!self.includeProperty(field.idField || field.idsField || field.name)) {
+        return;
+      }
+      if (!self.apos.schemas.isVisible(schema, candidate, field.name)) {
+        return;
+      }
+      if (self.isFieldEmpty(field, candidate)) {
+        problems.push({
+          field: field.name,
+          label: field.label || field.name,
+          message: 'Required field is empty: ' + (field.label || field.name)
+        });
+      }
+    });
+    return callback(null, problems);
+  };
+
+  // Returns true if the value of the schema field `field` in `doc`
+  // would not satisfy `required`.
+
+  self.isFieldEmpty = function(field, doc) {
+    var value;
+    if (field.type === 'joinByOne') {
+      return !doc[field.idField];
+    }
+    if (field.type === 'joinByArray') {
+      return !(doc[field.idsField] && doc[field.idsField].length);
+    }
+    value = doc[field.name];
+    if ((field.type === 'area') || (field.type === 'singleton')) {
+      return (!value) || self.apos.areas.isEmpty({ area: value });
+    }
+    if ((value === undefined) || (value === null)) {
+      return true;
+    }
+    if (Array.isArray(value)) {
+      return !value.length;
+    }
+    if ((typeof value) === 'string') {
+      return !value.trim().length;
+    }
+    return false;
+  };
+
+  // Check that every doc joined with by the draft, including via its widgets,
+  // exists and is not in the trash in the live locale, so that the joins
+  // still resolve once `resolveRelationships` maps them to that locale.
+
+  self.validateJoins = function(req, draft, live, callback) {
+    var problems = [];
+    return async.eachSeries(self.findJoinsInDoc(draft), function(join, callback) {
+      var ids = (join.field.type === 'joinByOne') ? _.compact([ join.doc[join.field.idField] ]) : (join.doc[join.field.idsField] || []);
+      if (!ids.length) {
+        return callback(null);
+      }
+      var joined;
+      return async.series([
+        findJoined,
+        findLive
+      ], callback);
+      function findJoined(callback) {
+        return self.apos.docs.db.findWithProjection({ _id: { $in: ids } }, { workflowGuid: 1, title: 1, slug: 1 }).toArray(function(err, docs) {
+          joined = docs;
+          return callback(err);
+        });
+      }
+      function findLive(callback) {
+        return self.apos.docs.db.findWithProjection({
+          workflowGuid: { $in: _.pluck(joined, 'workflowGuid') },
+          workflowLocale: live.workflowLocale,
+          trash: { $ne: true }
+        }, { workflowGuid: 1 }).toArray(function(err, docs) {
+          if (err) {
+            return callback(err);
+          }
+          var liveGuids = _.pluck(docs, 'workflowGuid');
+          _.each(joined, function(doc) {
+            if (!_.includes(liveGuids, doc.workflowGuid)) {
+              problems.push({
+                field: join.field.name,
+                label: join.field.label || join.field.name,
+                message: (join.field.label || join.field.name) + ': ' + (doc.title || doc.slug) + ' is not live in ' + live.workflowLocale
+              });
+            }
+          });
+          return callback(null);
+        });
+      }
+    }, function(err) {
+      return callback(err, problems);
+    });
+  };
+
+};
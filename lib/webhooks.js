@@ -0,0 +1,305 @@
+var _ = require('@sailshq/lodash');
+var async = require('async');
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var url = require('url');
+
+module.exports = function(self, options) {
+
+  // Returns the configured webhooks as an array of objects with `url`,
+  // `secret` and optional `events` properties. The `webhooks` option may
+  // be a single such object or an array of them.
+
+  self.getWebhooks = function() {
+    var webhooks = self.options.webhooks;
+    if (!webhooks) {
+      return [];
+    }
+    return Array.isArray(webhooks) ? webhooks : [ webhooks ];
+  };
+
+  // Create the mongodb collection in which webhook deliveries are queued
+  // until they succeed or run out of attempts.
+
+  self.enableWebhooksCollection = function(callback) {
+    self.webhooksDb = self.apos.db.collection('aposWorkflowWebhooks');
+    var indexes = [
+      {
+        status: 1,
+        nextAttemptAt: 1
+      },
+      {
+        createdAt: -1
+      }
+    ];
+    return async.eachSeries(indexes, function(index, callback) {
+      return self.webhooksDb.ensureIndex(index, callback);
+    }, callback);
+  };
+
+  // Queue a webhook delivery to every webhook interested in `event`:
+  // `commit`, `export`, `force-export`, `revert`, `submit` or `activate`.
+  // `doc` is the doc concerned, in the locale concerned. `data` may
+  // contain `commitId`. Queued deliveries are attempted right away and
+  // retried with exponential backoff, see `attemptWebhookDelivery` and
+  // `deliverWebhooks`.
+  //
+  // The callback is optional; without one, errors are logged, so the
+  // caller need not wait.
+
+  self.emitWebhook = function(req, event, doc, data, callback) {
+    callback = callback || function(err) {
+      if (err) {
+        self.apos.utils.error('Workflow webhook failed:', err);
+      }
+    };
+    var webhooks = _.filter(self.getWebhooks(), function(webhook) {
+      return (!webhook.events) || _.includes(webhook.events, event);
+    });
+    if (!webhooks.length) {
+      return callback(null);
+    }
+    var payload = self.getWebhookPayload(req, event, doc, data || {});
+    var deliveries = _.map(webhooks, function(webhook) {
+      return {
+        _id: self.apos.utils.generateId(),
+        url: webhook.url,
+        event: event,
+        payload: payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        createdAt: new Date()
+      };
+    });
+    return self.webhooksDb.insert(deliveries, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return async.eachSeries(deliveries, self.attemptWebhookDelivery, callback);
+    });
+  };
+
+  // Returns the JSON payload describing `event` for `doc`.
+
+  self.getWebhookPayload = function(req, event, doc, data) {
+    var docUrl = doc._url;
+    if (docUrl && docUrl.match(/^\//)) {
+      docUrl = (self.apos.baseUrl || '') + docUrl;
+    }
+    return {
+      event: event,
+      workflowGuid: doc.workflowGuid,
+      locale: doc.workflowLocale,
+      docId: doc._id,
+      type: doc.type,
+      commitId: data.commitId || null,
+      url: docUrl || null,
+      user: (req.user && req.user.username) || null,
+      timestamp: new Date().toISOString()
+    };
+  };
+
+  // Returns the HMAC signature of `body` for the webhook with the given
+  // secret, as sent in the `X-Apostrophe-Workflow-Signature` header.
+
+  self.signWebhookBody = function(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret || '').update(body).digest('hex');
+  };
+
+  // POST `payload` to `webhook.url` as JSON, signed with `webhook.secret`.
+  // Any 2xx response is a success.
+
+  self.postWebhook = function(webhook, delivery, callback) {
+    var body = JSON.stringify(_.assign({ id: delivery._id }, delivery.payload));
+    var parsed = url.parse(webhook.url);
+    var request = ((parsed.protocol === 'https:') ? https : http).request(_.assign(_.pick(parsed, 'protocol', 'hostname', 'port', 'path'), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Apostrophe-Workflow-Event': delivery.event,
+        'X-Apostrophe-Workflow-Delivery': delivery._id,
+        'X-Apostrophe-Workflow-Signature': self.signWebhookBody(webhook.secret, body)
+      },
+      timeout: (self.options.webhooksTimeout || 10) * 1000
+    }), function(response) {
+      // Drain the response so the socket is released
+      response.resume();
+      if ((response.statusCode < 200) || (response.statusCode >= 300)) {
+        return done('HTTP status ' + response.statusCode);
+      }
+      return done(null);
+    });
+    request.on('timeout', function() {
+      request.abort();
+      return done('timeout');
+    });
+    request.on('error', function(err) {
+      return done(err);
+    });
+    request.end(body);
+    var finished = false;
+    function done(err) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      return callback(err);
+    }
+  };
+
+  // Attempt one queued delivery and record the outcome. After a failure
+  // the next attempt is scheduled with exponential backoff, starting at
+  // `webhooksRetryDelay` seconds (default 30). After `webhooksMaxAttempts`
+  // attempts (default 8) the delivery is marked `failed`; the
+  // `apostrophe-workflow:replay-webhooks` task can queue it again.
+  // Delivery errors are recorded, not passed to the callback.
+  //
+  // The delivery is claimed first, see `claimWebhookDelivery`. If another
+  // process claimed it already, nothing is sent.
+
+  self.attemptWebhookDelivery = function(delivery, callback) {
+    var webhook = _.find(self.getWebhooks(), { url: delivery.url });
+    if (!webhook) {
+      return self.webhooksDb.update({ _id: delivery._id }, { $set: { status: 'failed', lastError: 'webhook no longer configured' } }, callback);
+    }
+    return self.claimWebhookDelivery(delivery, function(err, claimed) {
+      if (err) {
+        return callback(err);
+      }
+      if (!claimed) {
+        return callback(null);
+      }
+      return self.postWebhook(webhook, delivery, function(err) {
+        var attempts = delivery.attempts + 1;
+        var $set = {
+          attempts: attempts,
+          lastAttemptAt: new Date()
+        };
+        if (!err) {
+          $set.status = 'delivered';
+        } else {
+          $set.lastError = err.toString();
+          if (attempts >= (self.options.webhooksMaxAttempts || 8)) {
+            $set.status = 'failed';
+          } else {
+            $set.status = 'pending';
+            $set.nextAttemptAt = new Date(Date.now() + (self.options.webhooksRetryDelay || 30) * 1000 * Math.pow(2, attempts - 1));
+          }
+        }
+        return self.webhooksDb.update({ _id: delivery._id }, { $set: $set }, callback);
+      });
+    });
+  };
+
+  // Atomically move `delivery` from `pending` to `sending`, so that only
+  // one process sends it. A delivery left `sending` for twice the
+  // `webhooksTimeout` by a process that stopped may be claimed again.
+  // Delivers `(null, true)` if this process now owns the delivery.
+
+  self.claimWebhookDelivery = function(delivery, callback) {
+    return self.webhooksDb.update({
+      _id: delivery._id,
+      $or: [
+        {
+          status: 'pending',
+          nextAttemptAt: { $lte: new Date() }
+        },
+        {
+          status: 'sending',
+          claimedAt: { $lt: self.getWebhookClaimExpiry() }
+        }
+      ]
+    }, {
+      $set: {
+        status: 'sending',
+        claimedAt: new Date()
+      }
+    }, function(err, result) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, !!(result && result.result && result.result.nModified));
+    });
+  };
+
+  // Claims on deliveries made before the returned date have expired,
+  // see `claimWebhookDelivery`.
+
+  self.getWebhookClaimExpiry = function() {
+    return new Date(Date.now() - (self.options.webhooksTimeout || 10) * 1000 * 2);
+  };
+
+  // Attempt all pending deliveries that are due for a retry, and those
+  // whose claim expired. Each delivery is claimed before it is sent, so
+  // that several processes, or a delivery attempted right after
+  // `emitWebhook`, do not send the same payload twice.
+
+  self.deliverWebhooks = function(callback) {
+    return self.apos.locks.withLock('apostrophe-workflow-webhooks', function(callback) {
+      return self.webhooksDb.find({
+        $or: [
+          {
+            status: 'pending',
+            nextAttemptAt: { $lte: new Date() }
+          },
+          {
+            status: 'sending',
+            claimedAt: { $lt: self.getWebhookClaimExpiry() }
+          }
+        ]
+      }).sort({ createdAt: 1 }).toArray(function(err, deliveries) {
+        if (err) {
+          return callback(err);
+        }
+        return async.eachSeries(deliveries, self.attemptWebhookDelivery, callback);
+      });
+    }, callback);
+  };
+
+  // Queue failed deliveries again and attempt them right away. If
+  // `options.id` is set only that delivery is replayed.
+
+  self.replayWebhooks = function(options, callback) {
+    var criteria = { status: 'failed' };
+    if (options.id) {
+      criteria._id = options.id;
+    }
+    return self.webhooksDb.update(criteria, {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }
+    }, { multi: true }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      return self.deliverWebhooks(callback);
+    });
+  };
+
+  // While webhooks are configured, retry due deliveries every
+  // `webhooksRetryInterval` seconds (default 60). Not started for
+  // command line tasks.
+
+  self.enableWebhooksTimer = function() {
+    if (!self.getWebhooks().length) {
+      return;
+    }
+    if (self.apos.argv._.length) {
+      // Running a command line task
+      return;
+    }
+    self.webhooksTimer = setInterval(function() {
+      return self.deliverWebhooks(function(err) {
+        if (err) {
+          self.apos.utils.error(err);
+        }
+      });
+    }, (self.options.webhooksRetryInterval || 60) * 1000);
+  };
+
+};
@@ -0,0 +1,128 @@
+// Compare two strings word by word and return the newer one marked up
+// with the differences: inserted words are wrapped in
+// `<ins class="apos-workflow-ins">` and deleted words in
+// `<del class="apos-workflow-del">`.
+//
+// If `options.html` is true the strings are treated as markup, such as
+// the content of a rich text widget: tags are never split, the tags of
+// the newer string are kept and tags only present in the older string
+// are dropped, so the result keeps the structure of the newer version.
+// Otherwise the strings are treated as plain text and escaped.
+//
+// Returns null if the strings are too long to compare in reasonable
+// time, see `options.maxCells` (default 4000000 comparisons after
+// the common beginning and end are set aside). This is for previewing
+// only, never for patching.
+
+module.exports = function(before, after, options) {
+  options = options || {};
+  var html = !!options.html;
+  var maxCells = options.maxCells || 4000000;
+  var a = tokenize(before || '');
+  var b = tokenize(after || '');
+
+  var start = 0;
+  while ((start < a.length) && (start < b.length) && (a[start] === b[start])) {
+    start++;
+  }
+  var endA = a.length;
+  var endB = b.length;
+  while ((endA > start) && (endB > start) && (a[endA - 1] === b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  var n = endA - start;
+  var m = endB - start;
+  if ((n + 1) * (m + 1) > maxCells) {
+    return null;
+  }
+
+  // Longest common subsequence of the differing middle section,
+  // computed from the end so the walk below can go forward
+
+  var width = m + 1;
+  var lengths = new Uint32Array((n + 1) * width);
+  var i, j;
+  for (i = n - 1; i >= 0; i--) {
+    for (j = m - 1; j >= 0; j--) {
+      if (a[start + i] === b[start + j]) {
+        lengths[i * width + j] = lengths[(i + 1) * width + j + 1] + 1;
+      } else {
+        lengths[i * width + j] = Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+  }
+
+  var ops = [];
+  for (i = 0; i < start; i++) {
+    ops.push({ op: '=', token: b[i] });
+  }
+  i = 0;
+  j = 0;
+  while ((i < n) || (j < m)) {
+    if ((i < n) && (j < m) && (a[start + i] === b[start + j])) {
+      ops.push({ op: '=', token: b[start + j] });
+      i++;
+      j++;
+    } else if ((i < n) && ((j === m) || (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]))) {
+      // Deletions first, so a replaced word reads "old new"
+      ops.push({ op: '-', token: a[start + i] });
+      i++;
+    } else {
+      ops.push({ op: '+', token: b[start + j] });
+      j++;
+    }
+  }
+  for (j = endB; j < b.length; j++) {
+    ops.push({ op: '=', token: b[j] });
+  }
+
+  return render(ops);
+
+  function tokenize(s) {
+    return s.match(html ? /<[^>]*>|\s+|[^\s<]+/g : /\s+|[^\s]+/g) || [];
+  }
+
+  function isTag(token) {
+    return html && (token.charAt(0) === '<');
+  }
+
+  function render(ops) {
+    var result = '';
+    var run = '';
+    var runOp = null;
+    ops.forEach(function(op) {
+      if ((op.op === '=') || isTag(op.token)) {
+        flush();
+        if (op.op !== '-') {
+          result += html ? op.token : escape(op.token);
+        }
+        return;
+      }
+      if (op.op !== runOp) {
+        flush();
+        runOp = op.op;
+      }
+      run += html ? op.token : escape(op.token);
+    });
+    flush();
+    return result;
+
+    function flush() {
+      if (run.length) {
+        if (runOp === '+') {
+          result += '<ins class="apos-workflow-ins">' + run + '</ins>';
+        } else {
+          result += '<del class="apos-workflow-del">' + run + '</del>';
+        }
+      }
+      run = '';
+      runOp = null;
+    }
+  }
+
+  function escape(s) {
+    return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+};
@@ -20,7 +20,7 @@ apos.define('apostrophe-workflow-batch-export-modal', {
 
       var data = _.assign({
         locales: locales,
-        job: true
+        commit: self.getCommit()
       }, options.body);
 
       return self.api(self.options.verb, data, function(result) {
@@ -28,16 +28,21 @@ apos.define('apostrophe-workflow-batch-export-modal', {
           apos.notify('An error occurred.', { type: 'error' });
           return callback(result.status);
         }
-        apos.modules['apostrophe-jobs'].progress(result.jobId);
+        var workflow = apos.modules['apostrophe-workflow'];
+        workflow.exportJobProgress(result.exportJobId, {
+          success: function(results) {
+            self.presentResult(results, result.exportJobId);
+          }
+        });
         return callback(null);
       }, function(err) {
         return callback(err);
       });
     };
 
-    self.presentResult = function(result) {
+    self.presentResult = function(result, jobId) {
       var workflow = apos.modules['apostrophe-workflow'];
-      workflow.presentBatchExportResult(result);
+      workflow.presentBatchExportResult(result, jobId);
     };
 
   }
@@ -0,0 +1,19 @@
+// A modal reporting what a batch export did to each widget and property,
+// per doc and per locale.
+
+apos.define('apostrophe-workflow-batch-export-report-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'batch-export-report-modal',
+
+  construct: function(self, options) {
+    self.beforeShow = function(callback) {
+      self.$el.on('click', '[data-apos-workflow-export-report-toggle]', function() {
+        $(this).closest('h4, h5').next('.apos-workflow-export-report-details').toggleClass('apos-workflow-export-report-open');
+        return false;
+      });
+      return callback(null);
+    };
+  }
+});
@@ -21,6 +21,7 @@ apos.define('apostrophe-workflow-batch-force-export-modal', {
       // by batchForceExportGetLocales allows that
       // method to see the locales that were chosen
       self.options.body.locales = locales;
+      self.options.body.commit = self.getCommit();
       return callback(null);
     };
 
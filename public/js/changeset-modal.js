@@ -0,0 +1,13 @@
+// A modal listing the commits of a changeset. Its links are handled
+// by the manager, see `enableChangesets`.
+
+apos.define('apostrophe-workflow-changeset-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'changeset-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+  }
+});
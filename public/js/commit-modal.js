@@ -9,19 +9,61 @@ apos.define('apostrophe-workflow-commit-modal', {
   construct: function(self, options) {
     self.manager = options.manager;
     self.beforeShow = function(callback) {
+      _.each([ 'embargo-until', 'unpublish-at' ], function(name) {
+        var $input = self.$el.find('[data-apos-workflow-' + name + ']');
+        $input.val(self.manager.toDatetimeLocal($input.attr('data-apos-workflow-' + name)));
+      });
       return apos.areas.saveAllIfNeeded(callback);
     };
     self.saveContent = function(callback) {
-      return self.api('commit', { id: options.body.id }, function(result) {
+      return self.commit(callback);
+    };
+    self.commit = function(callback) {
+      var message = self.$el.find('[data-apos-workflow-commit-message]').val();
+      var fourEyesReason = self.$el.find('[data-apos-workflow-four-eyes-reason]').val();
+      // Remembered so that "commit all like this" can reuse them
+      self.manager.lastCommitMessage = message;
+      self.manager.lastFourEyesReason = fourEyesReason;
+      return self.api('commit', {
+        id: options.body.id,
+        publishAt: self.getPublishAt(),
+        message: message,
+        fourEyesReason: fourEyesReason,
+        changesetId: self.manager.changesetId,
+        overwrite: self.$el.find('[data-apos-workflow-overwrite]').prop('checked'),
+        // Saved by the server along with the commit
+        publicationWindow: {
+          embargoUntil: self.manager.fromDatetimeLocal(self.$el.find('[data-apos-workflow-embargo-until]').val()),
+          unpublishAt: self.manager.fromDatetimeLocal(self.$el.find('[data-apos-workflow-unpublish-at]').val())
+        }
+      }, function(result) {
+        if (result.status === 'invalid-window') {
+          apos.notify('The unpublish time must be later than the embargo.', { type: 'error' });
+          return callback(result.status);
+        }
+        if (result.status === 'conflict') {
+          apos.notify('The live version changed since this draft was started. Check "Overwrite anyway" to commit regardless.', { type: 'error' });
+          return callback(result.status);
+        }
         if (result.status !== 'ok') {
-          apos.notify('An error occurred.', { type: 'error' });
+          self.manager.presentCommitError(result);
           return callback(result.status);
         }
+        if (result.publishAt) {
+          // Nothing is live yet, so there is nothing to export either
+          apos.notify('%s is scheduled to be committed.', result.title || 'The document', { type: 'success', dismiss: true });
+          return callback(null);
+        }
+        // The following commits of the sequence join this changeset
+        self.manager.changesetId = result.changesetId || self.manager.changesetId;
         if (result.title) {
           apos.notify('%s was committed successfully.', result.title, { type: 'success', dismiss: true });
         } else {
           apos.notify('The document was committed successfully.', { type: 'success', dismiss: true });
         }
+        if (result.autoExportJobId) {
+          apos.notify('The change is also being exported automatically to other locales, where it must be approved.', { type: 'success', dismiss: true });
+        }
         var commitId = result.commitId;
         return self.api('editable-locales', {
           id: options.body.id
@@ -40,6 +82,11 @@ apos.define('apostrophe-workflow-commit-modal', {
         return callback(err);
       });
     };
+    // Returns the "commit later" time chosen by the user as an ISO 8601
+    // string, or null to commit now.
+    self.getPublishAt = function() {
+      return self.manager.fromDatetimeLocal(self.$el.find('[data-apos-workflow-publish-at]').val());
+    };
     // Let the manager know we're done, so the manager can step through these modals
     // for several docs in series if needed
     self.afterHide = function() {
@@ -0,0 +1,13 @@
+// A modal comparing two versions of a doc. The template does most of
+// the work via the preview iframe.
+
+apos.define('apostrophe-workflow-compare-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'compare-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+  }
+});
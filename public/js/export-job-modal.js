@@ -0,0 +1,65 @@
+// A modal following the progress of a batch export job, with the status
+// of each locale. The job can be canceled from here. Closing the modal does
+// not stop the job.
+
+apos.define('apostrophe-workflow-export-job-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'export-job-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+
+    self.beforeShow = function(callback) {
+      self._id = options.body._id;
+      self.link('apos-workflow-export-job-cancel', function() {
+        self.cancelJob();
+      });
+      self.progressInterval = setInterval(self.updateProgress, 1000);
+      self.updateProgress();
+      return callback(null);
+    };
+
+    self.updateProgress = function() {
+      return self.api('export-job-progress', { _id: self._id }, function(data) {
+        if (data.status !== 'ok') {
+          return;
+        }
+        self.$el.find('[data-apos-workflow-export-job-progress]').html(data.html);
+        if (data.ended) {
+          self.$el.find('[data-apos-workflow-export-job-cancel]').hide();
+          self.stopProgress();
+          if (data.jobStatus === 'completed') {
+            self.results = data.results;
+          }
+        }
+      });
+    };
+
+    self.stopProgress = function() {
+      if (self.progressInterval) {
+        clearInterval(self.progressInterval);
+        self.progressInterval = null;
+      }
+    };
+
+    self.cancelJob = function() {
+      return self.api('cancel-export-job', { _id: self._id }, function(data) {
+        if (data.status !== 'ok') {
+          apos.notify('An error occurred canceling the export. Please try again.', { type: 'error' });
+        }
+      }, function(err) {
+        apos.utils.error(err);
+        apos.notify('An error occurred canceling the export. Please try again.', { type: 'error' });
+      });
+    };
+
+    self.afterHide = function() {
+      self.stopProgress();
+      if (self.results && self.options.success) {
+        self.options.success(self.results);
+      }
+    };
+  }
+});
@@ -8,6 +8,10 @@ apos.define('apostrophe-workflow-export-modal', {
 
   verb: 'export',
 
+  // Show what would happen in each locale, from a dry run, before
+  // exporting for real
+  preview: true,
+
   construct: function(self, options) {
 
     self.manager = options.manager;
@@ -37,6 +41,13 @@ apos.define('apostrophe-workflow-export-modal', {
       return locales;
     };
 
+    // True if the user asked to commit in each locale right after
+    // exporting to it. Not offered by every variant of this modal
+
+    self.getCommit = function() {
+      return !!self.$el.find('[data-apos-workflow-export-commit]').prop('checked');
+    };
+
     self.saveContent = function(callback) {
       var locales = self.getLocales();
 
@@ -45,6 +56,10 @@ apos.define('apostrophe-workflow-export-modal', {
         return callback('user');
       }
 
+      if (self.options.preview && (self.previewedLocales !== locales.join(','))) {
+        return self.preview(locales, callback);
+      }
+
       var workflow = apos.modules['apostrophe-workflow'];
       workflow.nextExportHint = locales;
 
@@ -53,7 +68,8 @@ apos.define('apostrophe-workflow-export-modal', {
           return callback(err);
         }
         var data = _.assign({
-          locales: locales
+          locales: locales,
+          commit: self.getCommit()
         }, options.body);
 
         return self.api(self.options.verb, data, function(result) {
@@ -69,6 +85,26 @@ apos.define('apostrophe-workflow-export-modal', {
       });
     };
 
+    // Display the preview of exporting to `locales`. The dialog box stays
+    // open so the user can confirm, or change the locales and preview again
+
+    self.preview = function(locales, callback) {
+      return self.api('export-preview', _.assign({}, options.body, {
+        locales: locales,
+        force: (self.options.verb === 'force-export')
+      }), function(result) {
+        if (result.status !== 'ok') {
+          apos.notify('An error occurred.', { type: 'error' });
+          return callback(result.status);
+        }
+        self.$el.find('[data-apos-workflow-export-preview]').html(result.html);
+        self.previewedLocales = locales.join(',');
+        return callback('preview');
+      }, function(err) {
+        return callback(err);
+      });
+    };
+
     self.presentResult = function(result) {
       _.each(result.errors, function(error) {
         apos.notify('%s: ' + error.message, error.locale, { type: 'error' });
@@ -76,6 +112,13 @@ apos.define('apostrophe-workflow-export-modal', {
       if (result.success.length) {
         apos.notify('Successfully exported to: %s', result.success.join(', '), { type: 'success', dismiss: true });
       }
+      if (!_.isEmpty(result.commits)) {
+        apos.notify('Committed in: %s', _.keys(result.commits).join(', '), { type: 'success', dismiss: true });
+      }
+      _.each(result.commitErrors, function(error) {
+        apos.notify('%s: exported but not committed, ' + error.message, error.locale, { type: 'error' });
+      });
+      self.manager.presentExportConflicts(result);
     };
 
     self.exportRelatedUnexported = function(locales, callback) {
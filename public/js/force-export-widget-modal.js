@@ -8,6 +8,9 @@ apos.define('apostrophe-workflow-force-export-widget-modal', {
 
   verb: 'force-export-widget',
 
+  // No dry run is available for a single widget
+  preview: false,
+
   construct: function(self, options) {
     // Can't be done in the same way because we don't send a commit id
     self.exportRelatedUnexported = function(locales, callback) {
@@ -9,7 +9,17 @@ apos.define('apostrophe-workflow-history-modal', {
   construct: function(self, options) {
     self.manager = options.manager;
     self.beforeShow = function(callback) {
-      // various event handlers will go here
+      self.$el.on('click', '[data-apos-workflow-compare-versions]', function() {
+        var $compare = $(this).closest('[data-apos-workflow-compare]');
+        var from = $compare.find('[data-apos-workflow-compare-from]').val();
+        var to = $compare.find('[data-apos-workflow-compare-to]').val();
+        if (from === to) {
+          apos.notify('Choose two different versions to compare.', { type: 'error' });
+          return false;
+        }
+        self.manager.compare($compare.attr('data-apos-workflow-compare'), from, to);
+        return false;
+      });
       return callback(null);
     };
   }
@@ -0,0 +1,50 @@
+// A modal listing the conflicts left in a draft by exports, each of which
+// can be resolved in favor of the exported version or of the draft.
+
+apos.define('apostrophe-workflow-merge-conflicts-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'merge-conflicts-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+
+    self.beforeShow = function(callback) {
+      self.$el.on('click', '[data-apos-workflow-resolve-merge-conflict]', function() {
+        self.resolve($(this).attr('data-apos-workflow-resolve-merge-conflict'), $(this).attr('data-apos-workflow-choice'));
+        return false;
+      });
+      return callback(null);
+    };
+
+    self.resolve = function(conflictId, choice) {
+      return self.api('resolve-merge-conflict', {
+        id: self.$el.find('[data-apos-workflow-merge-conflicts-doc]').attr('data-apos-workflow-merge-conflicts-doc'),
+        conflictId: conflictId,
+        choice: choice
+      }, function(result) {
+        if (result.status !== 'ok') {
+          apos.notify('An error occurred.', { type: 'error' });
+          return;
+        }
+        self.$el.find('[data-apos-workflow-merge-conflict="' + conflictId + '"]').remove();
+        self.resolved = true;
+        if (!result.remaining) {
+          apos.notify('All conflicts are resolved.', { type: 'success', dismiss: true });
+          return self.hide();
+        }
+      }, function(err) {
+        apos.utils.error(err);
+        apos.notify('An error occurred.', { type: 'error' });
+      });
+    };
+
+    // Show the draft as resolved
+    self.afterHide = function() {
+      if (self.resolved) {
+        window.location.reload();
+      }
+    };
+  }
+});
@@ -0,0 +1,26 @@
+// A modal listing the current user's own submissions, including
+// any that were rejected and why.
+
+apos.define('apostrophe-workflow-my-submissions-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'my-submissions-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+    // The route already rendered the content with normal links, so the
+    // notification preference is the only thing to wire up
+    self.beforeShow = function(callback) {
+      self.$el.on('change', '[data-apos-workflow-notification-mode]', function() {
+        self.api('notification-preferences', { mode: $(this).val() }, function(result) {
+          if (result.status !== 'ok') {
+            return apos.notify('An error occurred.', { type: 'error' });
+          }
+          apos.notify('Your notification preference was saved.', { type: 'success', dismiss: true });
+        });
+      });
+      return callback(null);
+    };
+  }
+});
@@ -10,6 +10,17 @@ apos.define('apostrophe-workflow-review-modal', {
   construct: function(self, options) {
     self.manager = options.manager;
     self.beforeShow = function(callback) {
+      self.$el.on('click', '[data-apos-workflow-revert-selected]', function() {
+        var parts = _.map(self.$el.find('[data-apos-workflow-revert-part]:checked'), function(checkbox) {
+          return $(checkbox).val();
+        });
+        if (!parts.length) {
+          apos.notify('Select at least one part to revert.', { type: 'error' });
+          return false;
+        }
+        self.manager.revert($(this).attr('data-apos-workflow-revert-selected'), parts);
+        return false;
+      });
       return apos.areas.saveAllIfNeeded(callback);
     };
     self.saveContent = function(callback) {
@@ -0,0 +1,53 @@
+// A modal showing the live and draft versions of a page next to each
+// other. Scrolling either one scrolls the other to the same relative
+// position, since the two versions rarely have the same height.
+
+apos.define('apostrophe-workflow-side-by-side-modal', {
+
+  extend: 'apostrophe-modal',
+
+  source: 'side-by-side-modal',
+
+  construct: function(self, options) {
+    self.manager = options.manager;
+
+    self.beforeShow = function(callback) {
+      self.enableSynchronizedScrolling();
+      return callback(null);
+    };
+
+    self.enableSynchronizedScrolling = function() {
+      var $iframes = self.$el.find('[data-apos-workflow-side-by-side-iframe]');
+      $iframes.on('load', function() {
+        var iframe = this;
+        var $window = $(iframe.contentWindow);
+        $window.on('scroll', function() {
+          // Don't bounce back the scrolling we did to follow the other one
+          if ($window.scrollTop() === $window.data('aposWorkflowFollowing')) {
+            $window.removeData('aposWorkflowFollowing');
+            return;
+          }
+          $iframes.each(function() {
+            if (this !== iframe) {
+              self.scrollToMatch(iframe.contentWindow, this.contentWindow);
+            }
+          });
+        });
+      });
+    };
+
+    // Scroll the window `to` to the same relative position as the window `from`
+
+    self.scrollToMatch = function(from, to) {
+      var fromRange = from.document.documentElement.scrollHeight - from.innerHeight;
+      var toRange = to.document.documentElement.scrollHeight - to.innerHeight;
+      var ratio = (fromRange > 0) ? ($(from).scrollTop() / fromRange) : 0;
+      var top = Math.round(ratio * Math.max(toRange, 0));
+      if ($(to).scrollTop() === top) {
+        return;
+      }
+      $(to).data('aposWorkflowFollowing', top);
+      $(to).scrollTop(top);
+    };
+  }
+});
@@ -7,12 +7,20 @@ apos.define('apostrophe-workflow', {
     self.enableWorkflowControls();
     self.enableSubmit();
     self.enableDismiss();
+    self.enableReject();
+    self.enableApprove();
+    self.enableMySubmissions();
+    self.enableCancelScheduledCommit();
     self.enableCommit();
     self.enableHistory();
+    self.enableSideBySide();
+    self.enableMergeConflicts();
     self.enableLocaleUnavailable();
     self.enableExport();
     self.enableReview();
     self.enableRevert();
+    self.enableRollback();
+    self.enableChangesets();
     self.enableManageModal();
     self.enableLocalePickerModal();
     self.enableForceExport();
@@ -76,6 +84,9 @@ apos.define('apostrophe-workflow', {
         setClass($menu, 'apos-workflow-modified', !!result.modified.length);
         setClass($menu, 'apos-workflow-committable', !!result.committable.length);
         setClass($menu, 'apos-workflow-unsubmitted', !!unsubmitted.length);
+        setClass($menu, 'apos-workflow-rejected', !!(result.rejected && result.rejected.length));
+        // Explain why Commit is missing when the four-eyes policy is the reason
+        setClass($menu, 'apos-workflow-four-eyes', !!_.difference(result.fourEyes || [], result.committable).length);
 
         // Show/hide the widget level force export buttons based on whether
         // their doc is committable (it's preexisting and we have permission
@@ -221,6 +232,44 @@ apos.define('apostrophe-workflow', {
       });
     };
 
+    self.enableReject = function() {
+      $('body').on('click', '[data-apos-workflow-reject]', function() {
+        var comment = window.prompt('Why are you rejecting this submission? The submitter will see your comment.');
+        if (comment === null) {
+          return false;
+        }
+        self.reject($(this).attr('data-apos-workflow-reject'), comment);
+        return false;
+      });
+    };
+
+    self.enableApprove = function() {
+      $('body').on('click', '[data-apos-workflow-approve]', function() {
+        self.approve($(this).attr('data-apos-workflow-approve'));
+        return false;
+      });
+    };
+
+    // The "Rejected" button of the draft menu leads to the
+    // "My Submissions" view, which explains the rejection
+
+    self.enableMySubmissions = function() {
+      apos.adminBar.link(self.__meta.name + '-my-submissions-modal', function() {
+        self.launchMySubmissionsModal();
+      });
+      $('body').on('click', '[data-apos-workflow-rejected]', function() {
+        self.launchMySubmissionsModal();
+        return false;
+      });
+    };
+
+    self.enableCancelScheduledCommit = function() {
+      $('body').on('click', '[data-apos-workflow-cancel-scheduled]', function() {
+        self.cancelScheduledCommit($(this).attr('data-apos-workflow-cancel-scheduled'));
+        return false;
+      });
+    };
+
     self.enableCommit = function() {
       $('body').on('click', '[data-apos-workflow-commit]', function() {
         var id = $(this).attr('data-apos-workflow-commit');
@@ -255,6 +304,66 @@ apos.define('apostrophe-workflow', {
       });
     };
 
+    // The "Side by Side" choice of the workflow menu shows the live and
+    // draft versions of the current page or piece next to each other
+
+    self.enableSideBySide = function() {
+      $('body').on('click', '[data-apos-workflow-side-by-side]', function() {
+        self.sideBySide(self.options.contextGuid);
+        return false;
+      });
+    };
+
+    self.sideBySide = function(workflowGuid) {
+      return apos.create('apostrophe-workflow-side-by-side-modal',
+        _.assign({
+          manager: self,
+          body: { workflowGuid: workflowGuid }
+        }, options)
+      );
+    };
+
+    self.enableMergeConflicts = function() {
+      $('body').on('click', '[data-apos-workflow-merge-conflicts]', function() {
+        self.mergeConflicts(self.options.contextGuid);
+        return false;
+      });
+    };
+
+    // Resolve the conflicts left by exports in the draft of the doc `workflowGuid`
+
+    self.mergeConflicts = function(workflowGuid) {
+      return apos.create('apostrophe-workflow-merge-conflicts-modal',
+        _.assign({
+          manager: self,
+          body: { workflowGuid: workflowGuid }
+        }, options)
+      );
+    };
+
+    // Report the conflicts among the outcomes of an export, see `mergeDocs`
+
+    self.presentExportConflicts = function(result) {
+      _.each(result.outcomes, function(outcomes, locale) {
+        var conflicts = _.filter(outcomes, { outcome: 'conflict' }).length;
+        if (conflicts) {
+          apos.notify('%s: %s changes conflict with edits made in that locale. They must be resolved in its draft.', locale, conflicts, { type: 'warn' });
+        }
+      });
+    };
+
+    // Compare the versions `from` and `to` of the doc `id`. Each may be
+    // `draft`, `live` or a commit id
+
+    self.compare = function(id, from, to) {
+      return apos.create('apostrophe-workflow-compare-modal',
+        _.assign({
+          manager: self,
+          body: { id: id, from: from, to: to }
+        }, options)
+      );
+    };
+
     self.enableLocaleUnavailable = function() {
       apos.ui.link('apos-workflow-locale-unavailable', null, function($el, info) {
         info = info.split(':');
@@ -298,6 +407,42 @@ apos.define('apostrophe-workflow', {
       return self.launchBatchExportModal({ ids: ids }, callback);
     };
 
+    // Invoked with the results of a batch commit job. Offers to export
+    // the new commits. If the batch was committed all or nothing, the
+    // results are the report of `commitAllOrNothing` on the server, and
+    // the documents that prevented the commit are reported first.
+
+    self.batchCommitted = function(results, callback) {
+      if (!results.docs) {
+        return self.batchExport(_.values(results), callback);
+      }
+      _.each(results.docs, function(doc) {
+        var title = doc.title || doc.id;
+        if (doc.status === 'invalid') {
+          _.each(doc.problems, function(problem) {
+            apos.notify('%s: ' + problem.message, title, { type: 'error' });
+          });
+        } else if (doc.status === 'vetoed') {
+          apos.notify('%s: ' + doc.message, title, { type: 'error' });
+        } else if (doc.status === 'unapproved') {
+          apos.notify('%s must be approved at every stage before it can be committed.', title, { type: 'error' });
+        } else if (doc.status === 'four-eyes') {
+          apos.notify('Someone other than the last editor and the submitter must commit %s.', title, { type: 'error' });
+        } else if (doc.status === 'conflict') {
+          apos.notify('The live version of %s changed since its draft was started.', title, { type: 'error' });
+        } else if (doc.status === 'not-restored') {
+          apos.notify('%s stays committed, as its live version changed since.', title, { type: 'error' });
+        } else if (doc.status === 'error') {
+          apos.notify('An error occurred committing %s.', title, { type: 'error' });
+        }
+      });
+      if (results.status !== 'committed') {
+        apos.notify('Nothing was committed, so that the documents stay consistent with each other.', { type: 'error' });
+        return callback(null);
+      }
+      return self.batchExport(_.compact(_.pluck(results.docs, 'commitId')), callback);
+    };
+
     self.batchForceExportGetLocales = function(data, callback) {
       return self.launchBatchForceExportModal(data, callback);
     };
@@ -389,24 +534,82 @@ apos.define('apostrophe-workflow', {
 
     self.enableRevert = function() {
       apos.ui.link('apos-workflow-revert', null, function($el, id) {
-        apos.ui.globalBusy(true);
-        self.api('revert', { id: id }, function (result) {
-          apos.ui.globalBusy(false);
-          if (result.status && result.status !== 'ok') {
-            return apos.notify('Error reverting commit:' + result.status);
-          } else if (!result.status) {
-            return apos.notify('Error reverting commit');
-          }
+        self.revert(id);
+      });
+    };
 
-          if (result.redirect) {
-            window.location.href = result.redirect;
-          } else {
-            apos.emit('change', result.type);
-          }
+    // Revert the draft to the version made live by the given commit id. If
+    // `parts` is a non-empty array of field names, area names and widget
+    // ids, only those are reverted.
 
-          return apos.notify('Document reverted to commit!');
-          // @@TODO - where do we go now?
-        });
+    self.revert = function(id, parts) {
+      apos.ui.globalBusy(true);
+      self.api('revert', { id: id, parts: parts || [] }, function (result) {
+        apos.ui.globalBusy(false);
+        if (result.status === 'vetoed') {
+          return apos.notify('%s', result.message, { type: 'error' });
+        }
+        if (result.status && result.status !== 'ok') {
+          return apos.notify('Error reverting commit:' + result.status);
+        } else if (!result.status) {
+          return apos.notify('Error reverting commit');
+        }
+
+        if (result.redirect) {
+          window.location.href = result.redirect;
+        } else {
+          apos.emit('change', result.type);
+        }
+
+        return apos.notify('Document reverted to commit!');
+        // @@TODO - where do we go now?
+      });
+    };
+
+    self.enableRollback = function() {
+      $('body').on('click', '[data-apos-workflow-rollback]', function() {
+        var id = $(this).attr('data-apos-workflow-rollback');
+        var exportedTo = _.compact(($(this).attr('data-apos-workflow-exported-to') || '').split(','));
+        var message = window.prompt('Roll the live version back to this commit? Optionally, say why.');
+        if (message === null) {
+          return false;
+        }
+        var exportToo = exportedTo.length && window.confirm('This commit was exported to ' + exportedTo.join(', ') + '. Roll those locales back too?');
+        self.rollback(id, message, exportToo);
+        return false;
+      });
+    };
+
+    // Roll the live version back to the given commit id, optionally
+    // exporting the rollback to the locales that received that commit
+
+    self.rollback = function(id, message, exportToo) {
+      apos.ui.globalBusy(true);
+      self.api('rollback', { id: id, message: message, export: !!exportToo }, function(result) {
+        apos.ui.globalBusy(false);
+        if (result.status === 'vetoed') {
+          return apos.notify('%s', result.message, { type: 'error' });
+        }
+        if (result.status === 'invalid') {
+          return _.each(result.problems, function(problem) {
+            apos.notify('%s', problem.message, { type: 'error' });
+          });
+        }
+        if (result.status !== 'ok') {
+          return apos.notify('An error occurred.', { type: 'error' });
+        }
+        apos.notify('The live version of %s was rolled back.', result.title || 'the document', { type: 'success', dismiss: true });
+        if (result.exported) {
+          _.each(result.exported.errors, function(error) {
+            apos.notify('%s: ' + error.message, error.locale, { type: 'error' });
+          });
+          if (result.exported.success.length) {
+            apos.notify('Also rolled back in: %s. Those drafts await commit.', result.exported.success.join(', '), { type: 'success', dismiss: true });
+          }
+        }
+      }, function() {
+        apos.ui.globalBusy(false);
+        apos.notify('An error occurred.', { type: 'error' });
       });
     };
 
@@ -419,6 +622,10 @@ apos.define('apostrophe-workflow', {
       apos.ui.globalBusy(true);
       self.api('submit', { ids: ids }, function(result) {
         apos.ui.globalBusy(false);
+        if (result.status === 'vetoed') {
+          apos.notify('%s', result.message, { type: 'error' });
+          return callback && callback('vetoed');
+        }
         if (result.status !== 'ok') {
           apos.notify('An error occurred submitting the document for approval.', { type: 'error' });
           return callback && callback('error');
@@ -443,6 +650,99 @@ apos.define('apostrophe-workflow', {
       });
     };
 
+    self.reject = function(id, comment) {
+      apos.ui.globalBusy(true);
+      self.api('reject', { id: id, comment: comment }, function(result) {
+        apos.ui.globalBusy(false);
+        if (result.status === 'ok') {
+          $('[data-apos-workflow-reject="' + id + '"]').closest('[data-apos-workflow-submission]').hide();
+          apos.notify('The submission was rejected.', { type: 'success', dismiss: true });
+        } else if (result.status === 'comment-required') {
+          apos.notify('Please explain why you are rejecting this submission.', { type: 'error' });
+        } else if (result.status === 'notsubmitted') {
+          apos.notify('This document is no longer waiting for review.', { type: 'error' });
+        } else if (result.status === 'forbidden') {
+          apos.notify('You may not reject this submission.', { type: 'error' });
+        } else if (result.status === 'notfound') {
+          apos.notify('This document no longer exists.', { type: 'error' });
+        } else {
+          apos.notify('An error occurred.', { type: 'error' });
+        }
+      }, function() {
+        apos.ui.globalBusy(false);
+        apos.notify('An error occurred.', { type: 'error' });
+      });
+    };
+
+    // Approve the submission of the given doc id on behalf of the
+    // approval stage it is waiting on
+
+    self.approve = function(id) {
+      apos.ui.globalBusy(true);
+      self.api('approve', { id: id }, function(result) {
+        apos.ui.globalBusy(false);
+        if (result.status !== 'ok') {
+          return apos.notify('An error occurred.', { type: 'error' });
+        }
+        $('[data-apos-workflow-approve="' + id + '"]').closest('[data-apos-workflow-submission]').hide();
+        if (result.stage) {
+          apos.notify('%s was approved and is now waiting for %s.', result.title, result.stage, { type: 'success', dismiss: true });
+        } else {
+          apos.notify('%s was approved at every stage and can now be committed.', result.title, { type: 'success', dismiss: true });
+        }
+      }, function() {
+        apos.ui.globalBusy(false);
+        apos.notify('An error occurred.', { type: 'error' });
+      });
+    };
+
+    // Convert the value of a `datetime-local` input, which is in the
+    // browser's local time, to an ISO 8601 string. Returns null if
+    // the value is empty or invalid.
+
+    self.fromDatetimeLocal = function(value) {
+      if (!value) {
+        return null;
+      }
+      var date = new Date(value);
+      if (isNaN(date.getTime())) {
+        return null;
+      }
+      return date.toISOString();
+    };
+
+    // Convert an ISO 8601 string to a value suitable for a `datetime-local`
+    // input, in the browser's local time. Returns an empty string if
+    // `iso` is empty or invalid.
+
+    self.toDatetimeLocal = function(iso) {
+      if (!iso) {
+        return '';
+      }
+      var date = new Date(iso);
+      if (isNaN(date.getTime())) {
+        return '';
+      }
+      return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+        'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+      function pad(n) {
+        return (n < 10) ? ('0' + n) : ('' + n);
+      }
+    };
+
+    self.cancelScheduledCommit = function(id) {
+      apos.ui.globalBusy(true);
+      self.api('cancel-scheduled-commit', { id: id }, function(result) {
+        apos.ui.globalBusy(false);
+        if (result.status === 'ok') {
+          $('[data-apos-workflow-scheduled="' + id + '"]').hide();
+          apos.notify('The scheduled commit was cancelled.', { type: 'success', dismiss: true });
+        } else {
+          apos.notify('An error occurred.', { type: 'error' });
+        }
+      });
+    };
+
     // Present commit modals for all ids in the array, one after another.
     // The options object may be entirely omitted.
     // If present, `options.leadId` is the lead id — the doc that is not considered
@@ -456,6 +756,11 @@ apos.define('apostrophe-workflow', {
       self.commitAllRelated = false;
       self.skipAllRelated = false;
       self.nextExportHint = [];
+      self.lastCommitMessage = '';
+      self.lastFourEyesReason = '';
+      // The commits of this sequence form one changeset, whose id the
+      // server issues with the first commit
+      self.changesetId = null;
       if (!ids.length) {
         apos.notify('No modifications to commit.', { type: 'warn', dismiss: true });
         return callback && callback(null);
@@ -491,15 +796,22 @@ apos.define('apostrophe-workflow', {
 
     // Commit just one doc, following the same decisions
     // re: export made for the previous interactively
-    // exported doc. Part of the implementation of
+    // exported doc and reusing its commit message and
+    // four-eyes reason. Part of the implementation of
     // commitAllRelated
 
     self.commitSimilarly = function(id, callback) {
-      return self.api('commit', { id: id }, function(result) {
+      return self.api('commit', {
+        id: id,
+        message: self.lastCommitMessage,
+        fourEyesReason: self.lastFourEyesReason,
+        changesetId: self.changesetId
+      }, function(result) {
         if (result.status !== 'ok') {
-          apos.notify('An error occurred.', { type: 'error' });
+          self.presentCommitError(result);
           return callback(result.status);
         }
+        self.changesetId = result.changesetId || self.changesetId;
         if (result.title) {
           apos.notify('%s was committed successfully.', result.title, { type: 'success', dismiss: true });
         } else {
@@ -510,6 +822,29 @@ apos.define('apostrophe-workflow', {
       });
     };
 
+    // Notify the user of why the `commit` route refused to commit, given
+    // its `result`
+
+    self.presentCommitError = function(result) {
+      if (result.status === 'unapproved') {
+        apos.notify('This document must be approved at every stage before it can be committed.', { type: 'error' });
+      } else if (result.status === 'four-eyes') {
+        apos.notify('Someone other than the last editor and the submitter must commit this document.', { type: 'error' });
+      } else if (result.status === 'conflict') {
+        apos.notify('The live version changed since this draft was started. Commit it on its own to review the changes.', { type: 'error' });
+      } else if (result.status === 'vetoed') {
+        apos.notify('%s', result.message, { type: 'error' });
+      } else if (result.status === 'invalid') {
+        _.each(result.problems, function(problem) {
+          apos.notify('%s', problem.message, { type: 'error' });
+        });
+      } else if (result.status === 'forbidden') {
+        apos.notify('You may not add commits to that changeset.', { type: 'error' });
+      } else {
+        apos.notify('An error occurred.', { type: 'error' });
+      }
+    };
+
     // Export one doc plus related unexported docs, if desired,
     // following the same decisions re: export made for the previous
     // interactively exported doc. Part of the implementation of
@@ -539,6 +874,7 @@ apos.define('apostrophe-workflow', {
             if (result.success.length) {
               apos.notify('Successfully exported to: %s', result.success.join(', '), { type: 'success', dismiss: true });
             }
+            self.presentExportConflicts(result);
             return callback(null);
           });
         }, function(err) {
@@ -547,6 +883,70 @@ apos.define('apostrophe-workflow', {
       }
     };
 
+    // Links to view a changeset, export it and roll it back, in the
+    // history and changeset modals
+
+    self.enableChangesets = function() {
+      apos.ui.link('apos-workflow-changeset', null, function($el, id) {
+        self.changeset(id);
+      });
+      $('body').on('click', '[data-apos-workflow-export-changeset]', function() {
+        var ids = _.compact(($(this).attr('data-apos-workflow-export-changeset') || '').split(','));
+        self.batchExport(ids);
+        return false;
+      });
+      $('body').on('click', '[data-apos-workflow-rollback-changeset]', function() {
+        var id = $(this).attr('data-apos-workflow-rollback-changeset');
+        var exportedTo = _.compact(($(this).attr('data-apos-workflow-exported-to') || '').split(','));
+        var message = window.prompt('Roll back every document in this changeset to its live state before it? Optionally, say why.');
+        if (message === null) {
+          return false;
+        }
+        var exportToo = exportedTo.length && window.confirm('This changeset was exported to ' + exportedTo.join(', ') + '. Roll those locales back too?');
+        self.rollbackChangeset(id, message, exportToo);
+        return false;
+      });
+    };
+
+    self.changeset = function(id) {
+      return apos.create('apostrophe-workflow-changeset-modal',
+        _.assign({
+          manager: self,
+          body: { id: id }
+        }, options)
+      );
+    };
+
+    // Undo the changeset with the given id in the live locale, optionally
+    // exporting the rollbacks to the locales that received its commits
+
+    self.rollbackChangeset = function(id, message, exportToo) {
+      apos.ui.globalBusy(true);
+      self.api('rollback-changeset', { id: id, message: message, export: !!exportToo }, function(result) {
+        apos.ui.globalBusy(false);
+        if (result.status === 'vetoed') {
+          return apos.notify('%s', result.message, { type: 'error' });
+        }
+        if (result.status === 'invalid') {
+          return _.each(result.problems, function(problem) {
+            apos.notify('%s', problem.message, { type: 'error' });
+          });
+        }
+        if (result.status !== 'ok') {
+          return apos.notify('An error occurred.', { type: 'error' });
+        }
+        apos.notify('%s documents were rolled back.', result.commits.length, { type: 'success', dismiss: true });
+        _.each(result.commits, function(commit) {
+          _.each((commit.exported && commit.exported.errors) || [], function(error) {
+            apos.notify('%s: ' + error.message, error.locale, { type: 'error' });
+          });
+        });
+      }, function() {
+        apos.ui.globalBusy(false);
+        apos.notify('An error occurred.', { type: 'error' });
+      });
+    };
+
     self.enableManageModal = function() {
       apos.adminBar.link(self.__meta.name + '-manage-modal', function() {
         self.launchManageModal();
@@ -557,6 +957,10 @@ apos.define('apostrophe-workflow', {
       return apos.create(self.__meta.name + '-manage-modal', _.assign({ manager: self }, options));
     };
 
+    self.launchMySubmissionsModal = function() {
+      return apos.create(self.__meta.name + '-my-submissions-modal', _.assign({ manager: self }, options));
+    };
+
     self.launchCommitModal = function(options, callback) {
       return apos.create(self.__meta.name + '-commit-modal', _.assign({}, self.options, {
         manager: self,
@@ -591,9 +995,37 @@ apos.define('apostrophe-workflow', {
               $widget.addClass('apos-workflow-widget-diff apos-workflow-widget-diff--moved');
             } else if (change.change === 'modified') {
               $widget.addClass('apos-workflow-widget-diff apos-workflow-widget-diff--changed');
+              textDiff($widget, change);
             }
           }
         });
+        fields(result.fields || []);
+
+        // Show the words inserted and deleted in a rich text widget
+        // in place of its content
+
+        function textDiff($widget, change) {
+          if (!(change.textDiff && _.has(change.textDiff, 'content') && (change.value.type === 'apostrophe-rich-text'))) {
+            return;
+          }
+          $widget.find('[data-rich-text]').first().html(change.textDiff.content);
+        }
+
+        // List the modified string fields, word by word, above the page
+
+        function fields(fields) {
+          if (!fields.length) {
+            return;
+          }
+          var $fields = $('<div class="apos-workflow-field-diffs"></div>');
+          _.each(fields, function(field) {
+            var $field = $('<div class="apos-workflow-field-diff"><strong></strong> <span></span></div>');
+            $field.find('strong').text(field.label + ':');
+            $field.find('span').html(field.html);
+            $fields.append($field);
+          });
+          $('body').prepend($fields);
+        }
 
         function removed(change) {
 
@@ -661,9 +1093,16 @@ apos.define('apostrophe-workflow', {
       );
     };
 
-    self.presentBatchExportResult = function(result) {
+    // Notify the user of the `result` of a batch export or force export.
+    // If `jobId` is passed and some changes could not be applied, the
+    // export report is displayed too, see `batchExportReport`
+
+    self.presentBatchExportResult = function(result, jobId) {
       var errors = 0;
       var success = 0;
+      var skipped = 0;
+      var committed = 0;
+      var uncommitted = 0;
       _.each(result, function(result, key) {
         if (result.errors.length) {
           errors++;
@@ -671,18 +1110,57 @@ apos.define('apostrophe-workflow', {
         if (result.success.length) {
           success++;
         }
+        _.each(result.outcomes, function(outcomes) {
+          skipped += _.filter(outcomes, { outcome: 'conflict' }).length;
+        });
+        committed += _.keys(result.commits || {}).length;
+        uncommitted += (result.commitErrors || []).length;
       });
+      if (jobId && (errors || skipped || uncommitted)) {
+        self.batchExportReport(jobId);
+      }
       if (errors) {
         apos.notify('Errors were encountered for some locales while exporting %s of the documents.', errors, { type: 'error' });
       }
       if (success) {
         apos.notify('%s documents were successfully exported to one or more locales.', success, { type: 'success' });
       }
+      if (committed) {
+        apos.notify('%s exports were committed.', committed, { type: 'success' });
+      }
+      if (uncommitted) {
+        apos.notify('%s exports could not be committed.', uncommitted, { type: 'error' });
+      }
       if (!(errors || success)) {
         apos.notify('No documents were exported.');
       }
     };
 
+    // Follow the batch export job `jobId`. `options.success`, if any, is
+    // invoked with the results of the job if it completes while followed,
+    // in the format of a batch job, see `presentBatchExportResult`
+
+    self.exportJobProgress = function(jobId, options) {
+      return apos.create('apostrophe-workflow-export-job-modal',
+        _.assign({
+          manager: self,
+          body: { _id: jobId }
+        }, self.options, options || {})
+      );
+    };
+
+    // Display what the batch export job `jobId` did to each widget and
+    // property, per doc and per locale
+
+    self.batchExportReport = function(jobId) {
+      return apos.create('apostrophe-workflow-batch-export-report-modal',
+        _.assign({
+          manager: self,
+          body: { jobId: jobId }
+        }, options)
+      );
+    };
+
     self.enableCrossDomainSessionToken = function() {
       $('body').on('click', 'a[data-apos-cross-domain-session-token]', function(event) {
         var $link = $(this);
@@ -180,4 +180,1651 @@ describe('Workflow API', function() {
       }).catch(cb);
     }
   });
+
+  it('Test scheduled commit', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+
+    async.series([getProductDraft, schedule, checkNotLive, makeDue, run, checkLive], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        product.title = 'scheduled title';
+        return apos.products.update(req, product);
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function schedule(cb) {
+      var publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      apos.workflow.commitLatest(req, product._id, { publishAt: publishAt }, (err, commitId) => {
+        assert(!err);
+        assert(commitId === null);
+        cb(err);
+      });
+    }
+
+    function checkNotLive(cb) {
+      apos.products.find(apos.tasks.getReq()).toArray().then(docs => {
+        assert(docs[0].title === 'new title 2');
+        cb(null);
+      }).catch(cb);
+    }
+
+    function makeDue(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { 'workflowScheduledCommit.publishAt': new Date(Date.now() - 1000) } }, cb);
+    }
+
+    function run(cb) {
+      apos.workflow.runScheduledCommits(cb);
+    }
+
+    function checkLive(cb) {
+      apos.products.find(apos.tasks.getReq()).toArray().then(docs => {
+        assert(docs[0].title === 'scheduled title');
+        return apos.docs.db.findOne({ _id: product._id });
+      }).then(draft => {
+        assert(!draft.workflowScheduledCommit);
+        cb(null);
+      }).catch(cb);
+    }
+  });
+
+  it('Test publication window', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var liveReq = apos.tasks.getReq({locale: 'default'});
+    var product;
+
+    async.series([getProductDraft, embargo, checkHidden, checkReachable, clear, checkVisible], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function embargo(cb) {
+      apos.workflow.setPublicationWindow(req, product._id, { embargoUntil: new Date(Date.now() + 60 * 60 * 1000) }, cb);
+    }
+
+    function checkHidden(cb) {
+      apos.products.find(liveReq).toArray().then(docs => {
+        assert(!docs.length);
+        cb(null);
+      }).catch(cb);
+    }
+
+    function checkReachable(cb) {
+      apos.workflow.findDocs(liveReq, { workflowGuid: product.workflowGuid }, 'default').toObject((err, live) => {
+        assert(!err);
+        assert(live);
+        assert(live.workflowEmbargoUntil);
+        cb(null);
+      });
+    }
+
+    function clear(cb) {
+      apos.workflow.setPublicationWindow(req, product._id, {}, cb);
+    }
+
+    function checkVisible(cb) {
+      apos.products.find(liveReq).toArray().then(docs => {
+        assert(docs.length === 1);
+        cb(null);
+      }).catch(cb);
+    }
+  });
+
+  it('Test commit message', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+
+    async.series([getProductDraft, commit, checkMessage], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        product.title = 'title with message';
+        return apos.products.update(req, product);
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commit(cb) {
+      apos.workflow.commitLatest(req, product._id, { message: 'Fixed a typo' }, (err, commitId) => {
+        assert(!err);
+        assert(commitId);
+        cb(err);
+      });
+    }
+
+    function checkMessage(cb) {
+      apos.workflow.db.find({ fromId: product._id }).sort({ createdAt: -1 }).limit(1).toArray((err, commits) => {
+        assert(!err);
+        assert(commits[0].message === 'Fixed a typo');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test reject', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    req.user.username = 'submitter';
+
+    async.series([getProductDraft, submit, rejectWithoutComment, reject, checkRejected, rejectAgain, checkAuditTrail, checkMySubmissions], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function submit(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { workflowSubmitted: apos.workflow.getWorkflowSubmittedProperty(req, { type: 'submit' }) } }, cb);
+    }
+
+    function rejectWithoutComment(cb) {
+      apos.workflow.reject(req, product._id, ' ', (err) => {
+        assert(err === 'comment-required');
+        cb(null);
+      });
+    }
+
+    function reject(cb) {
+      apos.workflow.reject(req, product._id, 'Please check the spelling', (err, title) => {
+        assert(!err);
+        assert(title === product.title);
+        cb(err);
+      });
+    }
+
+    function checkRejected(cb) {
+      apos.docs.db.findOne({ _id: product._id }).then(draft => {
+        assert(!draft.workflowSubmitted);
+        assert(draft.workflowRejected);
+        assert(draft.workflowRejected.comment === 'Please check the spelling');
+        assert(draft.workflowRejected.submitted.type === 'submit');
+        cb(null);
+      }).catch(cb);
+    }
+
+    function rejectAgain(cb) {
+      apos.workflow.reject(req, product._id, 'Still wrong', (err) => {
+        assert(err === 'notsubmitted');
+        cb(null);
+      });
+    }
+
+    function checkAuditTrail(cb) {
+      apos.workflow.getAuditTrail({ docId: product._id }, {}, (err, entries) => {
+        assert(!err);
+        assert(entries.length === 1);
+        assert(entries[0].type === 'reject');
+        assert(entries[0].comment === 'Please check the spelling');
+        cb(null);
+      });
+    }
+
+    function checkMySubmissions(cb) {
+      apos.workflow.getMySubmissions(req, (err, docs) => {
+        assert(!err);
+        assert(docs.length === 1);
+        assert(docs[0]._id === product._id);
+        cb(null);
+      });
+    }
+  });
+
+  it('Test approval stages', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    req.user.username = 'submitter';
+    apos.workflow.options.approvalStages = { product: [ 'legal', 'brand' ] };
+    apos.workflow.options.approvalStageOptions = {
+      legal: { permission: 'admin' },
+      brand: { permission: 'admin' }
+    };
+
+    async.series([getProductDraft, commitUnsubmitted, submit, approveLegal, commitPartlyApproved, approveBrand, editApproved, commitPartlyApproved, approveLegal, approveBrand, commitApproved], (err) => {
+      delete apos.workflow.options.approvalStages;
+      delete apos.workflow.options.approvalStageOptions;
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        product.title = 'approved title';
+        return apos.products.update(req, product);
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitUnsubmitted(cb) {
+      apos.workflow.commitLatest(req, product._id, (err) => {
+        assert(err === 'unapproved');
+        cb(null);
+      });
+    }
+
+    function submit(cb) {
+      var submitted = apos.workflow.addApprovalStage(product, apos.workflow.getWorkflowSubmittedProperty(req, { type: 'submit' }));
+      assert(submitted.stage === 'legal');
+      apos.docs.db.update({ _id: product._id }, { $set: { workflowSubmitted: submitted } }, cb);
+    }
+
+    function approveLegal(cb) {
+      apos.workflow.approve(req, product._id, (err, title, next) => {
+        assert(!err);
+        assert(next === 'brand');
+        cb(err);
+      });
+    }
+
+    function commitPartlyApproved(cb) {
+      apos.workflow.commitLatest(req, product._id, (err) => {
+        assert(err === 'unapproved');
+        cb(null);
+      });
+    }
+
+    function approveBrand(cb) {
+      apos.workflow.approve(req, product._id, (err, title, next) => {
+        assert(!err);
+        assert(next === null);
+        cb(err);
+      });
+    }
+
+    // Editing the draft after approval calls for approving it again
+    function editApproved(cb) {
+      apos.products.find(req, { _id: product._id }).toObject().then(draft => {
+        draft.title = 'edited after approval';
+        return apos.products.update(req, draft);
+      }).then(() => {
+        return apos.docs.db.findOne({ _id: product._id });
+      }).then(draft => {
+        assert(!draft.workflowSubmitted.approvals.length);
+        assert(draft.workflowSubmitted.stage === 'legal');
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitApproved(cb) {
+      apos.workflow.commitLatest(req, product._id, (err, commitId) => {
+        assert(!err);
+        assert(commitId);
+        cb(null);
+      });
+    }
+  });
+
+  it('Test four-eyes policy', done => {
+    var editorReq = apos.tasks.getReq({locale: 'default-draft'});
+    var otherReq = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    editorReq.user.username = 'editor';
+    otherReq.user.username = 'other';
+    apos.workflow.options.fourEyes = true;
+
+    async.series([edit, commitOwnEdit, commitWithReason, edit, commitAsOther], (err) => {
+      delete apos.workflow.options.fourEyes;
+      assert(!err);
+      done();
+    });
+
+    function edit(cb) {
+      apos.products.find(editorReq).toArray().then(docs => {
+        product = docs[0];
+        product.title = 'four eyes title ' + Math.random();
+        return apos.products.update(editorReq, product);
+      }).then(() => {
+        return apos.docs.db.findOne({ _id: product._id });
+      }).then(draft => {
+        assert(draft.workflowLastEditedBy.username === 'editor');
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitOwnEdit(cb) {
+      apos.workflow.commitLatest(editorReq, product._id, (err) => {
+        assert(err === 'four-eyes');
+        cb(null);
+      });
+    }
+
+    function commitWithReason(cb) {
+      // The task req is an admin, so it may override the policy
+      apos.workflow.commitLatest(editorReq, product._id, { fourEyesReason: 'Urgent fix' }, (err, commitId) => {
+        assert(!err);
+        assert(commitId);
+        apos.workflow.getAuditTrail({ docId: product._id, type: 'four-eyes-override' }, {}, (err, entries) => {
+          assert(!err);
+          assert(entries.length === 1);
+          assert(entries[0].reason === 'Urgent fix');
+          cb(null);
+        });
+      });
+    }
+
+    function commitAsOther(cb) {
+      apos.workflow.commitLatest(otherReq, product._id, (err, commitId) => {
+        assert(!err);
+        assert(commitId);
+        cb(null);
+      });
+    }
+  });
+
+  it('Test notifications', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var messages = [];
+    var product;
+    req.user.username = 'submitter';
+    apos.workflow.options.notifications = {
+      transport: (req, message, callback) => {
+        messages.push(message);
+        callback(null);
+      }
+    };
+
+    async.series([insertReviewer, getProductDraft, notifyImmediately, chooseDigest, notifyForDigest, sendDigests, sendDigestsDespiteFailure, chooseImmediate, unknownTransport], (err) => {
+      delete apos.workflow.options.notifications;
+      assert(!err);
+      done();
+    });
+
+    function insertReviewer(cb) {
+      apos.docs.db.insert({
+        _id: 'reviewers',
+        type: 'apostrophe-group',
+        title: 'Reviewers',
+        slug: 'group-reviewers',
+        permissionsLocales: { edit: { default: true } }
+      }).then(() => {
+        return apos.docs.db.insert({
+          _id: 'reviewer',
+          type: 'apostrophe-user',
+          title: 'Reviewer',
+          slug: 'user-reviewer',
+          username: 'reviewer',
+          email: 'reviewer@example.com',
+          groupIds: [ 'reviewers' ]
+        });
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function notifyImmediately(cb) {
+      apos.workflow.notify(req, 'submit', product, {}, (err) => {
+        assert(!err);
+        assert(messages.length === 1);
+        assert(messages[0].to === 'reviewer@example.com');
+        assert(messages[0].data.type === 'submit');
+        cb(null);
+      });
+    }
+
+    function chooseDigest(cb) {
+      apos.workflow.setNotificationMode({ user: { _id: 'reviewer' } }, 'digest', cb);
+    }
+
+    function notifyForDigest(cb) {
+      apos.workflow.notify(req, 'submit', product, {}, (err) => {
+        assert(!err);
+        assert(messages.length === 1);
+        cb(null);
+      });
+    }
+
+    function sendDigests(cb) {
+      apos.workflow.sendNotificationDigests((err) => {
+        assert(!err);
+        assert(messages.length === 2);
+        assert(messages[1].template === 'notification-digest-email');
+        assert(messages[1].data.messages.length === 1);
+        cb(null);
+      });
+    }
+
+    // A recipient whose digest cannot be sent keeps it queued, and the
+    // others still receive theirs
+    function sendDigestsDespiteFailure(cb) {
+      var transport = apos.workflow.options.notifications.transport;
+      apos.workflow.options.notifications.transport = (req, message, callback) => {
+        if (message.to === 'broken@example.com') {
+          return callback(new Error('unreachable'));
+        }
+        return transport(req, message, callback);
+      };
+      async.series([
+        (cb) => apos.workflow.queueNotification({ _id: 'broken' }, { to: 'broken@example.com', subject: 'One' }, cb),
+        (cb) => apos.workflow.queueNotification({ _id: 'reviewer' }, { to: 'reviewer@example.com', subject: 'Two' }, cb),
+        (cb) => apos.workflow.sendNotificationDigests(cb)
+      ], (err) => {
+        apos.workflow.options.notifications.transport = transport;
+        assert(!err);
+        assert(messages.length === 3);
+        assert(messages[2].to === 'reviewer@example.com');
+        apos.workflow.notificationsDb.find({}).toArray((err, queued) => {
+          assert(!err);
+          assert(queued.length === 1);
+          assert(queued[0].userId === 'broken');
+          apos.workflow.notificationsDb.remove({}, cb);
+        });
+      });
+    }
+
+    function chooseImmediate(cb) {
+      apos.workflow.setNotificationMode({ user: { _id: 'reviewer' } }, 'immediate', cb);
+    }
+
+    // A misconfigured transport is reported, not thrown
+    function unknownTransport(cb) {
+      apos.workflow.options.notifications.transport = 'nonexistent';
+      apos.workflow.notify(req, 'submit', product, {}, (err) => {
+        assert(err);
+        assert(messages.length === 3);
+        cb(null);
+      });
+    }
+  });
+
+  it('Test webhooks', done => {
+    var http = require('http');
+    var crypto = require('crypto');
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var received = [];
+    var failing = true;
+    var product;
+    var server = http.createServer((request, response) => {
+      var body = '';
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        received.push({ headers: request.headers, body: body });
+        response.statusCode = failing ? 500 : 200;
+        response.end();
+      });
+    });
+
+    async.series([listen, getProductDraft, emitFailing, checkBackoff, replay, claimOnce], (err) => {
+      delete apos.workflow.options.webhooks;
+      server.close();
+      assert(!err);
+      done();
+    });
+
+    function listen(cb) {
+      server.listen(0, '127.0.0.1', () => {
+        apos.workflow.options.webhooks = [
+          {
+            url: 'http://127.0.0.1:' + server.address().port + '/hook',
+            secret: 'shhh',
+            events: [ 'commit' ]
+          }
+        ];
+        cb(null);
+      });
+    }
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function emitFailing(cb) {
+      apos.workflow.emitWebhook(req, 'submit', product, {}, (err) => {
+        assert(!err);
+        // Not one of the configured events
+        assert(received.length === 0);
+        apos.workflow.emitWebhook(req, 'commit', product, { commitId: 'c1' }, (err) => {
+          assert(!err);
+          assert(received.length === 1);
+          var payload = JSON.parse(received[0].body);
+          assert(payload.event === 'commit');
+          assert(payload.workflowGuid === product.workflowGuid);
+          assert(payload.docId === product._id);
+          assert(payload.commitId === 'c1');
+          assert(received[0].headers['x-apostrophe-workflow-signature'] === 'sha256=' + crypto.createHmac('sha256', 'shhh').update(received[0].body).digest('hex'));
+          cb(null);
+        });
+      });
+    }
+
+    function checkBackoff(cb) {
+      apos.workflow.webhooksDb.findOne({ 'payload.commitId': 'c1' }, (err, delivery) => {
+        assert(!err);
+        assert(delivery.status === 'pending');
+        assert(delivery.attempts === 1);
+        assert(delivery.nextAttemptAt > new Date());
+        // Give up on it, then replay it
+        apos.workflow.webhooksDb.update({ _id: delivery._id }, { $set: { status: 'failed' } }, cb);
+      });
+    }
+
+    function replay(cb) {
+      failing = false;
+      apos.workflow.replayWebhooks({}, (err) => {
+        assert(!err);
+        assert(received.length === 2);
+        apos.workflow.webhooksDb.findOne({ 'payload.commitId': 'c1' }, (err, delivery) => {
+          assert(!err);
+          assert(delivery.status === 'delivered');
+          cb(null);
+        });
+      });
+    }
+
+    // Only one process may send a given delivery
+    function claimOnce(cb) {
+      var delivery = { _id: 'claimed-delivery', status: 'pending', attempts: 0, nextAttemptAt: new Date(), createdAt: new Date() };
+      apos.workflow.webhooksDb.insert(delivery, (err) => {
+        assert(!err);
+        apos.workflow.claimWebhookDelivery(delivery, (err, claimed) => {
+          assert(!err);
+          assert(claimed);
+          apos.workflow.claimWebhookDelivery(delivery, (err, claimed) => {
+            assert(!err);
+            assert(!claimed);
+            apos.workflow.webhooksDb.remove({ _id: delivery._id }, cb);
+          });
+        });
+      });
+    }
+  });
+
+  it('Test lifecycle events', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var veto = true;
+    var committed = [];
+    apos.workflow.on('beforeCommit', 'testVetoCommit', (req, from, to) => {
+      if (veto) {
+        throw apos.workflow.veto('Not on a Friday');
+      }
+    });
+    apos.workflow.on('afterCommit', 'testRecordCommit', (req, from, to, commitId) => {
+      committed.push(commitId);
+    });
+    apos.workflow.on('beforeSubmit', 'testVetoSubmit', (req, draft) => {
+      if (veto) {
+        throw apos.workflow.veto('Submissions are closed');
+      }
+    });
+
+    async.series([getProductDraft, commitVetoed, commitAllowed, submitVetoed], (err) => {
+      // Handlers cannot be removed, so leave them harmless
+      veto = false;
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        product.title = 'title with lifecycle events';
+        return apos.products.update(req, product);
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitVetoed(cb) {
+      apos.workflow.commitLatest(req, product._id, (err) => {
+        assert(apos.workflow.isVeto(err));
+        assert(err.workflowVeto === 'Not on a Friday');
+        assert(committed.length === 0);
+        cb(null);
+      });
+    }
+
+    function commitAllowed(cb) {
+      veto = false;
+      apos.workflow.commitLatest(req, product._id, (err, commitId) => {
+        assert(!err);
+        assert(committed.length === 1);
+        assert(committed[0] === commitId);
+        cb(null);
+      });
+    }
+
+    function submitVetoed(cb) {
+      veto = true;
+      apos.workflow.submit(req, product._id, (err) => {
+        assert(apos.workflow.isVeto(err));
+        apos.docs.db.findOne({ _id: product._id }, (err, draft) => {
+          assert(!err);
+          assert(!draft.workflowSubmitted);
+          cb(null);
+        });
+      });
+    }
+  });
+
+  it('Test commit validation', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var projectRule = true;
+    apos.workflow.addCommitValidator((req, draft, live, callback) => {
+      callback(null, projectRule ? [ { message: 'Needs legal review' } ] : []);
+    });
+
+    async.series([getProductDraft, emptyTitle, commitInvalid, restoreTitle, commitValid], (err) => {
+      projectRule = false;
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function emptyTitle(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: '' } }, cb);
+    }
+
+    function commitInvalid(cb) {
+      apos.workflow.commitLatest(req, product._id, (err) => {
+        assert(apos.workflow.isInvalidCommit(err));
+        assert(err.workflowProblems.length === 2);
+        assert(err.workflowProblems[0].field === 'title');
+        assert(err.workflowProblems[1].message === 'Needs legal review');
+        cb(null);
+      });
+    }
+
+    function restoreTitle(cb) {
+      projectRule = false;
+      apos.docs.db.update({ _id: product._id }, { $set: { title: product.title } }, cb);
+    }
+
+    function commitValid(cb) {
+      apos.workflow.commitLatest(req, product._id, (err, commitId) => {
+        assert(!err);
+        assert(commitId);
+        cb(null);
+      });
+    }
+  });
+
+  it('Test rollback', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var firstCommitId;
+
+    async.series([getProductDraft, commitFirst, commitSecond, rollback, checkLive, checkDraft], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitTitle(title, cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: title } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, cb);
+      });
+    }
+
+    function commitFirst(cb) {
+      commitTitle('good title', (err, commitId) => {
+        assert(!err);
+        firstCommitId = commitId;
+        cb(null);
+      });
+    }
+
+    function commitSecond(cb) {
+      commitTitle('bad title', cb);
+    }
+
+    function rollback(cb) {
+      apos.workflow.rollback(req, firstCommitId, { message: 'Bad publish' }, (err, result) => {
+        assert(!err);
+        assert(result.commitId);
+        apos.workflow.db.findOne({ _id: result.commitId }, (err, commit) => {
+          assert(!err);
+          assert(commit.rollbackOf === firstCommitId);
+          assert(commit.message === 'Bad publish');
+          cb(null);
+        });
+      });
+    }
+
+    function checkLive(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, live) => {
+        assert(!err);
+        assert(live.title === 'good title');
+        cb(null);
+      });
+    }
+
+    function checkDraft(cb) {
+      apos.docs.db.findOne({ _id: product._id }, (err, draft) => {
+        assert(!err);
+        assert(draft.title === 'bad title');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test selective revert', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var commitId;
+
+    async.series([getProductDraft, commit, editAgain, revertTitle, checkDraft], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commit(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'partial one', tags: [ 'one' ] } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, (err, _commitId) => {
+          commitId = _commitId;
+          cb(err);
+        });
+      });
+    }
+
+    function editAgain(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'partial two', tags: [ 'two' ] } }, cb);
+    }
+
+    function revertTitle(cb) {
+      apos.workflow.revert(req, commitId, { parts: [ 'title' ] }, cb);
+    }
+
+    function checkDraft(cb) {
+      apos.docs.db.findOne({ _id: product._id }, (err, draft) => {
+        assert(!err);
+        assert(draft.title === 'partial one');
+        assert(draft.tags[0] === 'two');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test copying selected widgets', () => {
+    var from = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'old' }, { _id: 'w3', type: 'apostrophe-rich-text', content: 'gone' } ] }
+    };
+    var to = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'new' }, { _id: 'w2', type: 'apostrophe-rich-text', content: 'kept' } ] }
+    };
+    apos.workflow.copySelectedProperties(from, to, [ 'w1', 'w3' ]);
+    assert(to.body.items.length === 3);
+    assert(to.body.items[0].content === 'old');
+    assert(to.body.items[1].content === 'gone');
+    assert(to.body.items[2].content === 'kept');
+  });
+
+  it('Test comparing versions', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var commitId;
+
+    async.series([getProductDraft, commit, editAgain, compareWithDraft, compareWithLive, compareUnknown], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commit(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'compare one' } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, (err, _commitId) => {
+          commitId = _commitId;
+          cb(err);
+        });
+      });
+    }
+
+    function editAgain(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'compare two' } }, cb);
+    }
+
+    function compareWithDraft(cb) {
+      apos.workflow.compareVersions(req, product._id, commitId, 'draft', (err, diff, before, after) => {
+        assert(!err);
+        assert(Array.isArray(diff));
+        assert(before.title === 'compare one');
+        assert(after.title === 'compare two');
+        apos.workflow.getModifiedFields(req, before, after, (err, fields) => {
+          assert(!err);
+          assert(fields.includes('Title'));
+          cb(null);
+        });
+      });
+    }
+
+    function compareWithLive(cb) {
+      apos.workflow.compareVersions(req, product._id, commitId, 'live', (err, diff, before, after) => {
+        assert(!err);
+        assert(after.title === 'compare one');
+        assert(after.workflowLocale === 'default');
+        cb(null);
+      });
+    }
+
+    function compareUnknown(cb) {
+      apos.workflow.compareVersions(req, product._id, 'nosuchcommit', 'draft', (err) => {
+        assert(err === 'notfound');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test word level diff for preview', done => {
+    var live = {
+      type: 'product',
+      title: 'Blue widget',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: '<p>The quick brown fox</p>' } ] }
+    };
+    var draft = {
+      type: 'product',
+      title: 'Red widget',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: '<p>The slow brown fox</p>' } ] }
+    };
+    var fields = apos.workflow.getFieldTextDiffs(live, draft);
+    assert(fields.length === 1);
+    assert(fields[0].name === 'title');
+    assert(fields[0].html === '<del class="apos-workflow-del">Blue</del><ins class="apos-workflow-ins">Red</ins> widget');
+    var diff = [];
+    apos.workflow.applyPatch(live, draft, diff, (err) => {
+      assert(!err);
+      var change = diff.find(change => change._id === 'w1');
+      assert(change.change === 'modified');
+      assert(change.textDiff.content === '<p>The <del class="apos-workflow-del">quick</del><ins class="apos-workflow-ins">slow</ins> brown fox</p>');
+      done();
+    });
+  });
+
+  it('Test field change report', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var draft, live;
+
+    async.series([getProductDraft, getDraftAndLive, report], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function getDraftAndLive(cb) {
+      apos.workflow.getDraftAndLive(req, product._id, {}, (err, _draft, _live) => {
+        draft = _draft;
+        live = _live;
+        cb(err);
+      });
+    }
+
+    function report(cb) {
+      draft.title = 'reported title';
+      draft.tags = [ 'one', 'two' ];
+      apos.workflow.getFieldChanges(req, live, draft, (err, changes) => {
+        assert(!err);
+        var title = changes.find(change => change.name === 'title');
+        assert(title.before === live.title);
+        assert(title.after === 'reported title');
+        var tags = changes.find(change => change.name === 'tags');
+        assert(tags.after === 'one, two');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test changesets', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var otherReq = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    req.user._id = 'changeset-user';
+    otherReq.user._id = 'other-user';
+
+    async.series([getProductDraft, commitBefore, commitFirst, commitSecond, getChangeset, mayJoinChangeset, rollbackChangeset, checkLive], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitTitle(title, changesetId, cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: title } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, { changesetId: changesetId }, cb);
+      });
+    }
+
+    function commitBefore(cb) {
+      commitTitle('before changeset', null, cb);
+    }
+
+    function commitFirst(cb) {
+      commitTitle('changeset one', 'changeset1', cb);
+    }
+
+    function commitSecond(cb) {
+      commitTitle('changeset two', 'changeset1', cb);
+    }
+
+    function getChangeset(cb) {
+      apos.workflow.getChangeset(req, 'changeset1', (err, commits) => {
+        assert(!err);
+        assert(commits.length === 2);
+        assert(commits[0].doc._id === product._id);
+        cb(null);
+      });
+    }
+
+    // Only the user who made a changeset may add commits to it
+    function mayJoinChangeset(cb) {
+      apos.workflow.mayJoinChangeset(req, 'changeset1', (err, mayJoin) => {
+        assert(!err);
+        assert(mayJoin);
+        apos.workflow.mayJoinChangeset(otherReq, 'changeset1', (err, mayJoin) => {
+          assert(!err);
+          assert(!mayJoin);
+          apos.workflow.mayJoinChangeset(req, 'nonexistent', (err, mayJoin) => {
+            assert(!err);
+            assert(!mayJoin);
+            cb(null);
+          });
+        });
+      });
+    }
+
+    function rollbackChangeset(cb) {
+      apos.workflow.rollbackChangeset(req, 'changeset1', { message: 'Undo launch' }, (err, result) => {
+        assert(!err);
+        assert(result.changesetId);
+        assert(result.commits.length === 1);
+        apos.workflow.db.findOne({ _id: result.commits[0].commitId }, (err, commit) => {
+          assert(!err);
+          assert(commit.changesetId === result.changesetId);
+          cb(null);
+        });
+      });
+    }
+
+    function checkLive(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, live) => {
+        assert(!err);
+        assert(live.title === 'before changeset');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test all-or-nothing batch commits', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var liveTitle;
+    var liveRevision;
+    var armed = true;
+    var changeLive = false;
+    var commits = 0;
+    var compensated = [];
+    var messages = [];
+    apos.workflow.on('beforeCommit', 'testVetoSecondCommit', (req, from, to) => {
+      if (armed && (++commits === 2)) {
+        if (changeLive) {
+          // Someone changes the live doc in the meantime
+          return apos.docs.db.update({ _id: to._id }, { $inc: { workflowRevision: 1 } }).then(() => {
+            throw apos.workflow.veto('Second one fails');
+          });
+        }
+        throw apos.workflow.veto('Second one fails');
+      }
+    });
+    apos.workflow.on('afterCompensateCommit', 'testCompensated', (req, commit) => {
+      compensated.push(commit._id);
+    });
+    apos.workflow.options.notifications = {
+      transport: (req, message, callback) => {
+        messages.push(message);
+        callback(null);
+      }
+    };
+
+    async.series([getProductDraft, getLiveTitle, edit, commitMissing, commitVetoed, checkLive, commitVetoedAfterLiveChange], (err) => {
+      // Handlers cannot be removed, so leave them harmless
+      armed = false;
+      delete apos.workflow.options.notifications;
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function getLiveTitle(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, live) => {
+        liveTitle = live && live.title;
+        liveRevision = live && (live.workflowRevision || 0);
+        cb(err);
+      });
+    }
+
+    function edit(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'all or nothing' } }, cb);
+    }
+
+    function commitMissing(cb) {
+      apos.workflow.commitAllOrNothing(req, [ product._id, 'nosuchdoc' ], (err, report) => {
+        assert(!err);
+        assert(report.status === 'failed');
+        assert(report.docs[0].status === 'not-committed');
+        assert(report.docs[1].status === 'error');
+        assert(commits === 0);
+        cb(null);
+      });
+    }
+
+    function commitVetoed(cb) {
+      apos.workflow.commitAllOrNothing(req, [ product._id, product._id ], (err, report) => {
+        assert(!err);
+        assert(report.status === 'failed');
+        assert(report.docs[0].status === 'restored');
+        assert(report.docs[1].status === 'vetoed');
+        assert.deepEqual(compensated, [ report.docs[0].commitId ]);
+        // Nobody hears about a batch that did not land
+        assert(!messages.length);
+        apos.workflow.db.findOne({ _id: report.docs[0].commitId }, (err, commit) => {
+          assert(!err);
+          assert(commit.compensated);
+          cb(null);
+        });
+      });
+    }
+
+    function checkLive(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, live) => {
+        assert(!err);
+        assert(live.title === liveTitle);
+        // Restored as a save: committed, then restored
+        assert(live.workflowRevision === liveRevision + 2);
+        cb(null);
+      });
+    }
+
+    function commitVetoedAfterLiveChange(cb) {
+      commits = 0;
+      changeLive = true;
+      apos.workflow.commitAllOrNothing(req, [ product._id, product._id ], (err, report) => {
+        assert(!err);
+        assert(report.status === 'failed');
+        assert(report.docs[0].status === 'not-restored');
+        assert(report.docs[1].status === 'vetoed');
+        cb(null);
+      });
+    }
+  });
+
+  it('Test conflicts with live changes', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var live;
+
+    async.series([getProductDraft, commitToSync, changeLive, editDraft, commitConflicting, commitOverwriting, checkLive], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitToSync(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'before conflict' } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, (err) => {
+          assert(!err);
+          apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, _live) => {
+            live = _live;
+            cb(err);
+          });
+        });
+      });
+    }
+
+    function changeLive(cb) {
+      apos.workflow.setPropertiesAcrossLocales(req, live, { title: 'changed live' }, [ 'default' ], { mode: 'live' }, cb);
+    }
+
+    function editDraft(cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: 'older draft' } }, cb);
+    }
+
+    function commitConflicting(cb) {
+      apos.workflow.commitLatest(req, product._id, (err) => {
+        assert(apos.workflow.isConflict(err));
+        var change = err.workflowConflict.changes.find(change => change.name === 'title');
+        assert(change);
+        assert(change.before === 'changed live');
+        assert(change.after === 'older draft');
+        cb(null);
+      });
+    }
+
+    function commitOverwriting(cb) {
+      apos.workflow.commitLatest(req, product._id, { overwrite: true }, (err) => {
+        assert(!err);
+        cb(null);
+      });
+    }
+
+    function checkLive(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' }, (err, _live) => {
+        assert(!err);
+        assert(_live.title === 'older draft');
+        apos.workflow.getDraftAndLive(req, product._id, {}, (err, draft, live) => {
+          assert(!err);
+          assert(!apos.workflow.hasConflict(draft, live));
+          cb(null);
+        });
+      });
+    }
+  });
+
+  it('Test scheduled commit conflicting with live changes', done => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var product;
+    var live;
+
+    async.series([getProductDraft, schedule, changeLive, run, checkNotCommitted, runAgain, checkStillNotCommitted], (err) => {
+      assert(!err);
+      done();
+    });
+
+    function getProductDraft(cb) {
+      apos.products.find(req).toArray().then(docs => {
+        product = docs[0];
+        return apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'default' });
+      }).then(_live => {
+        live = _live;
+        return apos.docs.db.update({ _id: product._id }, { $set: { title: 'scheduled over live' } });
+      }).then(() => {
+        cb(null);
+      }).catch(cb);
+    }
+
+    function schedule(cb) {
+      apos.workflow.commitLatest(req, product._id, { publishAt: new Date(Date.now() + 60 * 60 * 1000) }, (err) => {
+        assert(!err);
+        apos.docs.db.update({ _id: product._id }, { $set: { 'workflowScheduledCommit.publishAt': new Date(Date.now() - 1000) } }, cb);
+      });
+    }
+
+    function changeLive(cb) {
+      apos.workflow.setPropertiesAcrossLocales(req, live, { title: 'changed live again' }, [ 'default' ], { mode: 'live' }, cb);
+    }
+
+    function run(cb) {
+      apos.workflow.runScheduledCommits(cb);
+    }
+
+    function checkNotCommitted(cb) {
+      apos.docs.db.findOne({ _id: live._id }, (err, _live) => {
+        assert(!err);
+        assert(_live.title === 'changed live again');
+        apos.docs.db.findOne({ _id: product._id }, (err, draft) => {
+          assert(!err);
+          assert(draft.workflowScheduledCommit);
+          assert(draft.workflowScheduledCommit.conflict.changes.find(change => change.name === 'title'));
+          cb(null);
+        });
+      });
+    }
+
+    function runAgain(cb) {
+      apos.workflow.runScheduledCommits(cb);
+    }
+
+    function checkStillNotCommitted(cb) {
+      apos.docs.db.findOne({ _id: live._id }, (err, _live) => {
+        assert(!err);
+        assert(_live.title === 'changed live again');
+        apos.workflow.cancelScheduledCommit(req, product._id, cb);
+      });
+    }
+  });
+
+  it('Test three-way merge in export', () => {
+    var base = {
+      type: 'product',
+      title: 'Hello',
+      price: 1,
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'one' }, { _id: 'w2', type: 'apostrophe-rich-text', content: 'two' } ] }
+    };
+    var ours = {
+      type: 'product',
+      title: 'Hello there',
+      price: 2,
+      body: { type: 'area', items: [ { _id: 'w2', type: 'apostrophe-rich-text', content: 'two' }, { _id: 'w1', type: 'apostrophe-rich-text', content: 'one edited' }, { _id: 'w3', type: 'apostrophe-rich-text', content: 'three' } ] }
+    };
+    var theirs = {
+      type: 'product',
+      title: 'Bonjour',
+      price: 1,
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'un' }, { _id: 'w2', type: 'apostrophe-rich-text', content: 'two' } ] }
+    };
+    var outcomes = apos.workflow.mergeDocs(base, ours, theirs);
+    var find = (criteria) => outcomes.find(outcome => Object.keys(criteria).every(key => outcome[key] === criteria[key]));
+    assert(find({ name: 'title' }).outcome === 'conflict');
+    assert(find({ name: 'price' }).outcome === 'applied');
+    assert(outcomes.find(outcome => outcome.path.join('.') === 'body.w1.content').outcome === 'conflict');
+    assert(!find({ widgetId: 'w1' }));
+    assert(find({ widgetId: 'w3' }).outcome === 'applied');
+    assert(find({ name: 'body', order: true }).outcome === 'applied');
+    assert(!find({ widgetId: 'w2' }));
+    assert(theirs.title === 'Bonjour');
+    assert(theirs.price === 2);
+    assert.deepEqual(theirs.body.items.map(widget => widget._id), [ 'w2', 'w3', 'w1' ]);
+    assert(theirs.body.items[2].content === 'un');
+
+    apos.workflow.recordMergeConflicts(theirs, { _id: 'c1', from: { workflowLocale: 'default-draft' } }, outcomes, base, ours);
+    assert(theirs.workflowConflicts.length === 2);
+    theirs.workflowConflicts.forEach(conflict => apos.workflow.applyMergeConflict(theirs, conflict));
+    assert(theirs.title === 'Hello there');
+    assert(theirs.body.items[2].content === 'one edited');
+  });
+
+  it('Test merging widgets property by property in export', () => {
+    var slide = (id, caption, title) => ({ _id: id, caption: caption, body: { type: 'area', items: [ { _id: id + '-text', type: 'apostrophe-rich-text', content: title } ] } });
+    var base = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'slideshow', title: 'Slides', credit: 'Me', slides: [ slide('s1', 'One', 'First'), slide('s2', 'Two', 'Second') ] } ] }
+    };
+    var ours = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'slideshow', title: 'Slides', credit: 'Photos: me', slides: [ slide('s1', 'One', 'First edited'), slide('s2', 'Two', 'Second') ] } ] }
+    };
+    var theirs = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'slideshow', title: 'Diapositives', credit: 'Me', slides: [ slide('s1', 'Un', 'First'), slide('s2', 'Deux', 'Second') ] } ] }
+    };
+    var outcomes = apos.workflow.mergeDocs(base, ours, theirs);
+    assert(!outcomes.find(outcome => outcome.outcome === 'conflict'));
+    var widget = theirs.body.items[0];
+    assert(widget.title === 'Diapositives');
+    assert(widget.credit === 'Photos: me');
+    assert(widget.slides[0].caption === 'Un');
+    assert(widget.slides[0].body.items[0].content === 'First edited');
+    assert(widget.slides[1].caption === 'Deux');
+    var credit = outcomes.find(outcome => outcome.path.join('.') === 'body.w1.credit');
+    assert(credit.outcome === 'applied');
+    assert(outcomes.find(outcome => outcome.path.join('.') === 'body.w1.slides.s1.body.s1-text').outcome === 'applied');
+
+    ours.body.items[0].title = 'Slideshow';
+    theirs = {
+      type: 'product',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'slideshow', title: 'Diapositives', credit: 'Me', slides: base.body.items[0].slides } ] }
+    };
+    outcomes = apos.workflow.mergeDocs(base, ours, theirs);
+    var conflicts = outcomes.filter(outcome => outcome.outcome === 'conflict');
+    assert(conflicts.length === 1);
+    assert.deepEqual(conflicts[0].path, [ 'body', 'w1', 'title' ]);
+    apos.workflow.recordMergeConflicts(theirs, { _id: 'c1', from: { workflowLocale: 'default-draft' } }, outcomes, base, ours);
+    assert(theirs.workflowConflicts[0].ours === 'Slideshow');
+    apos.workflow.applyMergeConflict(theirs, theirs.workflowConflicts[0]);
+    assert(theirs.body.items[0].title === 'Slideshow');
+    assert(theirs.body.items[0].credit === 'Photos: me');
+  });
+
+  it('Test describing merge outcomes for an export preview', () => {
+    var base = {
+      title: 'Hello',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'one' }, { _id: 'w2', type: 'apostrophe-rich-text', content: 'two' } ] }
+    };
+    var ours = {
+      title: 'Hello there',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'one edited' }, { _id: 'w3', type: 'apostrophe-rich-text', content: 'three' } ] }
+    };
+    var theirs = {
+      title: 'Hello there',
+      body: { type: 'area', items: [ { _id: 'w1', type: 'apostrophe-rich-text', content: 'one' }, { _id: 'w2', type: 'apostrophe-rich-text', content: 'deux' } ] }
+    };
+    var description = apos.workflow.describeMergeOutcomes(apos.workflow.mergeDocs(base, ours, theirs));
+    assert(description.identical === 1);
+    assert(description.modified.length === 1);
+    assert(description.added.length === 1);
+    assert(description.conflicts.length === 1);
+    assert(!description.removed.length);
+    assert(!description.fields.length);
+  });
+
+  it('Test reporting what an export did to each widget and property', (done) => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var locales = apos.workflow.options.locales;
+    var widget = (id, content) => ({ _id: id, type: 'apostrophe-rich-text', content: content });
+    var product;
+    var result;
+    apos.workflow.options.locales = [
+      {
+        name: 'default',
+        children: [ { name: 'fr' } ]
+      }
+    ];
+    apos.workflow.composeLocales();
+
+    async.series([insert, commitFirst, changeInFrench, commitAndExport, checkReport, checkFrench], (err) => {
+      apos.workflow.options.locales = locales;
+      apos.workflow.composeLocales();
+      assert(!err);
+      done();
+    });
+
+    function insert(cb) {
+      var _product = apos.products.newInstance();
+      _product.title = 'Hello';
+      apos.products.insert(req, _product).then(doc => {
+        product = doc;
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commit(values, cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: values }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, cb);
+      });
+    }
+
+    function commitFirst(cb) {
+      commit({ price: 1, body: { type: 'area', items: [ widget('w1', 'one'), widget('w2', 'two'), widget('w4', 'four') ] } }, cb);
+    }
+
+    // The French draft already has the new title and no longer has w2
+    function changeInFrench(cb) {
+      apos.docs.db.update({ workflowGuid: product.workflowGuid, workflowLocale: 'fr-draft' }, {
+        $set: { title: 'Hello there', price: 1, body: { type: 'area', items: [ widget('w1', 'one'), widget('w4', 'four') ] } }
+      }, cb);
+    }
+
+    function commitAndExport(cb) {
+      commit({ title: 'Hello there', price: 2, body: { type: 'area', items: [ widget('w1', 'one edited'), widget('w2', 'two edited'), widget('w3', 'three') ] } }, (err, commitId) => {
+        assert(!err);
+        apos.workflow.export(req, commitId, [ 'fr' ], (err, _result) => {
+          result = _result;
+          cb(err);
+        });
+      });
+    }
+
+    function checkReport(cb) {
+      assert.deepEqual(result.success, [ 'fr' ]);
+      var find = (criteria) => result.outcomes.fr.find(outcome => Object.keys(criteria).every(key => outcome[key] === criteria[key]));
+      assert(find({ widgetId: 'w1', change: 'modified' }).outcome === 'applied');
+      assert(find({ widgetId: 'w2', change: 'modified' }).outcome === 'conflict');
+      assert(find({ widgetId: 'w2' }).missing);
+      assert(find({ widgetId: 'w3', change: 'added' }).outcome === 'applied');
+      assert(find({ widgetId: 'w4', change: 'removed' }).outcome === 'applied');
+      assert(find({ name: 'title' }).outcome === 'identical');
+      assert(find({ name: 'price' }).outcome === 'applied');
+      cb(null);
+    }
+
+    function checkFrench(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'fr-draft' }, (err, draft) => {
+        assert(!err);
+        assert(draft.price === 2);
+        assert.deepEqual(draft.body.items.map(widget => widget._id), [ 'w1', 'w3' ]);
+        assert(draft.workflowConflicts.find(conflict => conflict.widgetId === 'w2'));
+        cb(null);
+      });
+    }
+  });
+
+  it('Test export jobs record progress and can be canceled', (done) => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    req.user._id = 'export-job-user';
+    var product;
+    var jobs = [];
+    return async.series([
+      (callback) => {
+        return apos.products.find(req, {}).toObject((err, _product) => {
+          product = _product;
+          return callback(err);
+        });
+      },
+      (callback) => {
+        return async.eachSeries([ 1, 2 ], (n, callback) => {
+          return apos.workflow.createExportJob(req, 'force-export', [ product._id ], [ 'default', 'nonexistent' ], (err, job) => {
+            jobs.push(job);
+            return callback(err);
+          });
+        }, callback);
+      },
+      (callback) => {
+        assert(jobs[0].items.length === 1);
+        assert(jobs[0].items[0].status === 'pending');
+        return apos.workflow.cancelExportJob(req, jobs[1]._id, callback);
+      },
+      (callback) => {
+        // A job this process is already running is left alone, as the
+        // timer does while a long job runs
+        apos.workflow.runningExportJobs[jobs[0]._id] = true;
+        return apos.workflow.runExportJob(jobs[0]._id, req, (err) => {
+          delete apos.workflow.runningExportJobs[jobs[0]._id];
+          assert(!err);
+          return apos.workflow.exportJobsDb.findOne({ _id: jobs[0]._id }, (err, job) => {
+            assert(!err);
+            assert(job.items[0].status === 'pending');
+            return callback(null);
+          });
+        });
+      },
+      (callback) => {
+        return async.eachSeries(jobs, (job, callback) => apos.workflow.runExportJob(job._id, req, callback), callback);
+      },
+      (callback) => {
+        return apos.workflow.exportJobsDb.find({ _id: { $in: jobs.map(job => job._id) } }).toArray((err, _jobs) => {
+          assert(!err);
+          var completed = _jobs.find(job => job._id === jobs[0]._id);
+          var canceled = _jobs.find(job => job._id === jobs[1]._id);
+          assert(completed.status === 'completed');
+          // Exporting to the locale the doc comes from does nothing
+          assert(completed.items[0].status === 'skipped');
+          assert(apos.workflow.getExportJobProgress(completed).percentage === 100);
+          assert(canceled.status === 'canceled');
+          assert(canceled.items[0].status === 'canceled');
+          return callback(null);
+        });
+      }
+    ], done);
+  });
+
+  it('Test automatic export policies', () => {
+    var locales = apos.workflow.options.locales;
+    apos.workflow.options.locales = [
+      {
+        name: 'default',
+        autoExport: [ { locales: [ 'fr' ] }, { types: [ 'product' ] } ],
+        children: [
+          { name: 'fr' },
+          { name: 'de', autoExport: true, children: [ { name: 'de-ch' } ] }
+        ]
+      }
+    ];
+    try {
+      apos.workflow.composeLocales();
+      assert.deepEqual(apos.workflow.getAutoExportLocales({ type: 'home', workflowLocale: 'default-draft' }), [ 'fr' ]);
+      assert.deepEqual(apos.workflow.getAutoExportLocales({ type: 'product', workflowLocale: 'default-draft' }).sort(), [ 'de', 'de-ch', 'fr' ]);
+      assert.deepEqual(apos.workflow.getAutoExportLocales({ type: 'home', workflowLocale: 'de-draft' }), [ 'de-ch' ]);
+      assert(!apos.workflow.getAutoExportLocales({ type: 'home', workflowLocale: 'fr-draft' }).length);
+      apos.workflow.options.locales = [ { name: 'default', autoExport: { locales: [ 'fr' ] } } ];
+      assert.throws(() => apos.workflow.composeLocales());
+    } finally {
+      apos.workflow.options.locales = locales;
+      apos.workflow.composeLocales();
+    }
+    assert(!Object.keys(apos.workflow.autoExportPolicies).length);
+  });
+
+  it('Test exporting with a commit in each locale', (done) => {
+    var req = apos.tasks.getReq({locale: 'default-draft'});
+    var locales = apos.workflow.options.locales;
+    var product;
+    var result;
+    apos.workflow.options.locales = [
+      {
+        name: 'default',
+        children: [ { name: 'fr' }, { name: 'de' } ]
+      }
+    ];
+    apos.workflow.composeLocales();
+
+    async.series([insert, commitFirst, changeInGerman, commitAndExport, checkResult, checkFrench, checkGerman], (err) => {
+      apos.workflow.options.locales = locales;
+      apos.workflow.composeLocales();
+      assert(!err);
+      done();
+    });
+
+    function insert(cb) {
+      var _product = apos.products.newInstance();
+      _product.title = 'one';
+      apos.products.insert(req, _product).then(doc => {
+        product = doc;
+        cb(null);
+      }).catch(cb);
+    }
+
+    function commitTitle(title, cb) {
+      apos.docs.db.update({ _id: product._id }, { $set: { title: title } }, (err) => {
+        assert(!err);
+        apos.workflow.commitLatest(req, product._id, cb);
+      });
+    }
+
+    function commitFirst(cb) {
+      commitTitle('one', cb);
+    }
+
+    // The German draft has its own title, so the export conflicts there
+    function changeInGerman(cb) {
+      apos.docs.db.update({ workflowGuid: product.workflowGuid, workflowLocale: 'de-draft' }, { $set: { title: 'eins' } }, cb);
+    }
+
+    function commitAndExport(cb) {
+      commitTitle('two', (err, commitId) => {
+        assert(!err);
+        apos.workflow.export(req, commitId, [ 'fr', 'de' ], { commit: true }, (err, _result) => {
+          result = _result;
+          cb(err);
+        });
+      });
+    }
+
+    function checkResult(cb) {
+      assert.deepEqual(result.success.sort(), [ 'de', 'fr' ]);
+      assert(result.commits.fr);
+      assert(!result.commits.de);
+      assert.deepEqual(result.commitErrors, [ { locale: 'de', message: apos.workflow.commitExportedMessages.conflicts } ]);
+      var results = apos.workflow.getExportJobResults({
+        commit: true,
+        items: [
+          { id: 'c', locale: 'fr', status: 'done', commitId: result.commits.fr },
+          { id: 'c', locale: 'de', status: 'done', commitMessage: result.commitErrors[0].message }
+        ]
+      });
+      assert.deepEqual(results.c.commits, result.commits);
+      assert.deepEqual(results.c.commitErrors, result.commitErrors);
+      cb(null);
+    }
+
+    function checkFrench(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'fr' }, (err, live) => {
+        assert(!err);
+        assert(live.title === 'two');
+        apos.workflow.db.findOne({ _id: result.commits.fr }, (err, commit) => {
+          assert(!err);
+          assert(commit.locale === 'fr');
+          cb(null);
+        });
+      });
+    }
+
+    function checkGerman(cb) {
+      apos.docs.db.findOne({ workflowGuid: product.workflowGuid, workflowLocale: 'de' }, (err, live) => {
+        assert(!err);
+        assert(live.title === 'one');
+        cb(null);
+      });
+    }
+  });
 });